@@ -1,13 +1,38 @@
 #!/usr/bin/env node
 import { HyperdbHelper } from '../index.js'
+import { formatSummary } from '../lib/inspect.js'
+import { formatRecords } from '../lib/query.js'
+import { formatTable } from '../lib/table.js'
+import { stringifyRecord } from '../lib/records.js'
+import { createLogger } from '../lib/logger.js'
+import { formatLintProblems } from '../lib/lint.js'
+import { formatDoctorFindings } from '../lib/doctor.js'
 import mri from 'mri'
 import dedent from 'string-dedent'
 
 const flags = mri(process.argv.slice(2), {
   alias: {
     examples: 'e',
-    help: 'h'
+    help: 'h',
+    allowBreaking: 'allow-breaking',
+    onConflict: 'on-conflict',
+    dryRun: 'dry-run',
+    generatedModuleType: 'generated-module-type'
   },
+  boolean: [
+    'allow-breaking',
+    'dry-run',
+    'lint',
+    'check',
+    'force',
+    'fix',
+    'all',
+    'reverse',
+    'table',
+    'json',
+    'quiet',
+    'verbose'
+  ],
   default: {
     examples: false
   }
@@ -27,33 +52,447 @@ if (!cmd || cmd === 'help' || flags.help) {
 
     Commands:
       init [dir]     Initialize database schema files (default: ./database)
-      build [dir]    Build database from schema files (default: ./database)
+      templates      List the templates init can start from
+      config [dir]   Print the resolved configuration and where each value came from (default: ./database)
+      build [dir]    Build database from schema files, or every database with --all (default: ./database)
+      watch [dir]    Rebuild whenever the schema files change (default: ./database)
+      check [dir]    Report schema changes since the last build (default: ./database)
+      lint [dir]     Report mistakes in the schema file (default: ./database)
+      doctor [dir]   Diagnose problems with the project setup and suggest fixes (default: ./database)
+      seed [dir]     Insert records from fixture files into a Corestore (default: ./database)
+      export [dir]   Write the records in a Corestore to NDJSON (default: ./database)
+      import [dir]   Load records from an NDJSON export into a Corestore (default: ./database)
+      migrate [dir]  Copy records into a new core, running pending migrations (default: ./database)
+      query <name> [dir]
+                     Read records from a collection or index (default: ./database)
+      repl [dir]     Open the database in an interactive REPL (default: ./database)
+      inspect [dir]  Summarize the built structs, collections and indexes (default: ./database)
+      docs [dir]     Generate Markdown docs with an ER diagram of the built database (default: ./database)
       help           Show this help
 
     Options:
-      -e, --examples Use with init subcommand to include example code
+      --template     Use with init subcommand to start from a template: a built-in name,
+                     a path to a template directory or an npm package (default: empty)
+      -e, --examples Use with init subcommand to start from the blog template
+      --json         Use with init, build, lint, doctor, inspect and config subcommands to print JSON
+      --namespace    Use with inspect subcommand to show a single namespace,
+                     or with init subcommand to name the template's namespace
+      --file         Use with seed and import subcommands to choose a JSON or NDJSON fixture file,
+                     repeat for more files
+      --out          Directory to write generated code to, or with export and docs subcommands
+                     a file to write to instead of stdout
+      --schema       Path to the schema file, or a directory with a schema file per namespace
+      --functions    Path to the functions file
+      --generated-module-type
+                     Use with build subcommand to generate commonjs or module code
+                     (default: the type in package.json)
+      --collection   Use with export subcommand to export a single collection
+      --on-conflict  Use with import subcommand when a key already exists:
+                     fail, skip or overwrite (default: fail)
+      --source       Use with migrate subcommand to point at the old generated directory
+      --to           Use with migrate subcommand to name the new core
+      --dry-run      Use with migrate subcommand to report without writing
+      --get          Use with query subcommand to get the record with this JSON key
+      --gt, --gte, --lt, --lte
+                     Use with query subcommand to give a JSON range key
+      --reverse      Use with query subcommand to read in reverse order
+      --limit        Use with query subcommand to read at most this many records
+      --table        Use with query subcommand to print a table instead of NDJSON
+      --storage      Corestore or RocksDB storage directory (default: ./.corestore)
+      --name         Name of the core in the Corestore (default: db)
+      --backend      Open the database with bee or rocks, or with init subcommand
+                     write the backend to the config and example (default: bee)
+      --format       Use with init subcommand to choose the schema file format:
+                     js, json or yaml (default: js)
+      --allow-breaking
+                     Use with build subcommand to build despite breaking changes
+      --lint         Use with build subcommand to lint the schema first
+      --check        Use with build subcommand to exit with an error and print a diff
+                     when the generated code is out of date, without writing anything
+      --all          Use with build subcommand to build every database listed in the
+                     databases config, or found in the project and its npm workspaces
+      --force        Use with build subcommand to build even if the schema, functions,
+                     config and hyperdb versions did not change since the last build
+      --fix          Use with doctor subcommand to apply the safe fixes
+      --quiet        Only print errors
+      --verbose      Also print every file written
       -h, --help     Show this help
   `)
   process.exit(0)
 }
 
-const helper = new HyperdbHelper()
+// --out names the generated code directory, except for commands writing a file
+if (flags.out !== undefined && !['export', 'docs'].includes(cmd)) {
+  flags.generatedCodeDirectory = flags.out
+}
+if (flags.schema !== undefined) flags.schemaFilepath = flags.schema
+if (flags.functions !== undefined) flags.functionsFilepath = flags.functions
+
+const logger = createLogger({
+  level: flags.quiet ? 'error' : flags.verbose ? 'debug' : 'info',
+  // Keep stdout clean for --json output
+  stdout: flags.json ? process.stderr : process.stdout
+})
+const helper = new HyperdbHelper({ logger })
+// query takes the collection or index name before the directory
+const target = cmd === 'query' ? args.shift() : null
 const filepath = args.shift()
 
 switch (cmd) {
   case 'init': {
-    const { dependenciesNeeded } = await helper.init(filepath, flags)
-    if (dependenciesNeeded.length) {
-      console.log(dedent`
+    const report = await helper.init(filepath, flags)
+
+    if (flags.json) {
+      console.log(JSON.stringify(report, null, 2))
+      break
+    }
+
+    logger.info(
+      `Created ${helper.config.databaseConfigDirectory} from the ${report.template} template, ${report.files.length} files written`
+    )
+    if (report.dependenciesNeeded.length) {
+      logger.info(dedent`
         Please install the required dependencies using npm:
 
-        npm install ${dependenciesNeeded.join(' ')}
+        npm install ${report.dependenciesNeeded.join(' ')}
       `)
     }
     break
   }
+  case 'templates': {
+    const templates = await helper.templates()
+    console.log(
+      formatTable(
+        ['name', 'source', 'description'],
+        templates.map((template) => [
+          template.name,
+          template.source,
+          template.description
+        ])
+      )
+    )
+    break
+  }
+  case 'config': {
+    const { config, sources } = await helper.resolveConfig(filepath, flags)
+
+    if (flags.json) {
+      console.log(JSON.stringify({ config, sources }, null, 2))
+      break
+    }
+
+    console.log(
+      formatTable(
+        ['key', 'value', 'source'],
+        Object.entries(config).map(([key, value]) => [
+          key,
+          JSON.stringify(value),
+          sources[key]
+        ])
+      )
+    )
+    break
+  }
   case 'build': {
-    await helper.build(filepath, flags)
+    if (flags.all) {
+      const { databases } = await helper.buildAll(flags)
+
+      if (flags.json) {
+        console.log(JSON.stringify({ databases }, null, 2))
+      }
+
+      for (const { directory, report, error } of databases) {
+        if (error) {
+          logger.error(`${directory}: ${error}`)
+          continue
+        }
+        if (flags.check) {
+          if (!flags.json) {
+            for (const change of report.changes) {
+              process.stdout.write(change.diff)
+            }
+          }
+          if (report.upToDate) {
+            logger.info(`${report.generatedCodeDirectory} is up to date`)
+          } else {
+            logger.error(
+              `${report.changes.length} generated files in ${report.generatedCodeDirectory} are out of date`
+            )
+          }
+        } else if (!flags.json) {
+          logger.info(
+            report.upToDate
+              ? `${report.generatedCodeDirectory} is up to date`
+              : formatBuildReport(report)
+          )
+        }
+      }
+
+      const failed = databases.filter(
+        ({ report, error }) => error || (flags.check && !report.upToDate)
+      )
+      if (failed.length) {
+        logger.error(
+          flags.check
+            ? `${failed.length} of ${databases.length} databases are out of date or failed to build`
+            : `${failed.length} of ${databases.length} databases failed to build`
+        )
+        process.exitCode = 1
+      }
+      break
+    }
+
+    const report = await helper.build(filepath, flags)
+
+    if (flags.json) {
+      console.log(JSON.stringify(report, null, 2))
+    } else if (flags.check) {
+      for (const change of report.changes) {
+        process.stdout.write(change.diff)
+      }
+    } else if (report.upToDate) {
+      logger.info(dedent`
+        ${report.generatedCodeDirectory} is up to date
+        Only local files are checked for changes, run 'hyperdb-helper build --force' to build anyway
+      `)
+    } else {
+      logger.info(formatBuildReport(report))
+    }
+
+    if (flags.check) {
+      if (report.upToDate) {
+        logger.info(`${report.generatedCodeDirectory} is up to date`)
+      } else {
+        logger.error(dedent`
+          ${report.changes.length} generated files are out of date
+          Run 'hyperdb-helper build' to update them
+        `)
+        process.exitCode = 1
+      }
+    }
+    break
+  }
+  case 'check': {
+    const { additive, breaking } = await helper.diff(filepath, flags)
+
+    if (!additive.length && !breaking.length) {
+      console.log('No schema changes')
+      break
+    }
+
+    for (const change of breaking) {
+      console.log(
+        `breaking  ${change.message}${change.refused ? ' (cannot be built, even with --allow-breaking)' : ''}`
+      )
+    }
+    for (const change of additive) {
+      console.log(`additive  ${change.message}`)
+    }
+
+    if (breaking.length) {
+      process.exitCode = 1
+    }
+    break
+  }
+  case 'lint': {
+    const { problems } = await helper.lint(filepath, flags)
+
+    if (flags.json) {
+      console.log(JSON.stringify({ problems }, null, 2))
+    } else {
+      console.log(formatLintProblems(problems))
+    }
+
+    if (problems.some(({ severity }) => severity === 'error')) {
+      process.exitCode = 1
+    }
+    break
+  }
+  case 'doctor': {
+    const { findings } = await helper.doctor(filepath, flags)
+
+    if (flags.json) {
+      console.log(JSON.stringify({ findings }, null, 2))
+    } else {
+      console.log(formatDoctorFindings(findings))
+    }
+
+    if (
+      findings.some(({ severity, fixed }) => severity === 'error' && !fixed)
+    ) {
+      process.exitCode = 1
+    }
+    break
+  }
+  case 'seed': {
+    const { collections, errors } = await helper.seed(filepath, flags)
+
+    printRecordErrors(errors)
+
+    for (const [name, counts] of Object.entries(collections)) {
+      console.log(
+        `${name}: ${counts.inserted} inserted, ${counts.invalid} invalid`
+      )
+    }
+
+    if (errors.length) {
+      console.error('No records were inserted')
+      process.exitCode = 1
+    }
     break
   }
+  case 'export': {
+    const { collections } = await helper.exportData(filepath, flags)
+
+    // Keep stdout clean for the export itself
+    for (const [name, count] of Object.entries(collections)) {
+      console.error(`${name}: ${count} exported`)
+    }
+    break
+  }
+  case 'import': {
+    const { collections, errors, warnings } = await helper.importData(
+      filepath,
+      flags
+    )
+
+    for (const warning of warnings) {
+      console.error(`Warning: ${warning}`)
+    }
+
+    printRecordErrors(errors)
+
+    for (const [name, counts] of Object.entries(collections)) {
+      console.log(
+        `${name}: ${counts.inserted} inserted, ${counts.skipped} skipped, ${counts.invalid} invalid`
+      )
+    }
+
+    if (errors.length) {
+      console.error('No records were imported')
+      process.exitCode = 1
+    }
+    break
+  }
+  case 'migrate': {
+    const report = await helper.migrate(filepath, flags)
+
+    console.log(`Migrating from version ${report.from} to ${report.to}`)
+    for (const migration of report.migrations) {
+      console.log(migration.name)
+      for (const [name, counts] of Object.entries(migration.collections)) {
+        console.log(
+          `  ${name}: ${counts.records} records, ${counts.changed} changed, ${counts.removed} removed`
+        )
+      }
+    }
+
+    for (const [name, counts] of Object.entries(report.collections)) {
+      console.log(
+        `${name}: ${counts.read} read, ${counts.migrated} migrated, ${counts.removed} removed`
+      )
+    }
+
+    printRecordErrors(report.errors)
+
+    if (report.errors.length) {
+      console.error('No records were written')
+      process.exitCode = 1
+    } else if (report.dryRun) {
+      console.log('Dry run, no records were written')
+    }
+    break
+  }
+  case 'query': {
+    const records = []
+    let count = 0
+    for await (const record of helper.query(filepath, target, flags)) {
+      count++
+      if (flags.table) {
+        records.push(record)
+      } else {
+        console.log(stringifyRecord(record))
+      }
+    }
+
+    if (records.length) {
+      console.log(formatRecords(records))
+    }
+
+    if (flags.get !== undefined && !count) {
+      console.error(`No record found in ${target}`)
+      process.exitCode = 1
+    }
+    break
+  }
+  case 'repl': {
+    await helper.repl(filepath, flags)
+    break
+  }
+  case 'inspect': {
+    const summary = await helper.inspect(filepath, flags)
+
+    if (flags.json) {
+      console.log(JSON.stringify(summary, null, 2))
+    } else {
+      console.log(formatSummary(summary))
+    }
+    break
+  }
+  case 'docs': {
+    const { markdown } = await helper.docs(filepath, flags)
+
+    if (flags.out) {
+      logger.info(`Wrote ${flags.out}`)
+    } else {
+      process.stdout.write(markdown)
+    }
+    break
+  }
+  case 'watch': {
+    const watcher = await helper.watch(filepath, {
+      ...flags,
+      onBuild: (report) => {
+        logger.info(
+          report.upToDate
+            ? `${report.generatedCodeDirectory} is up to date`
+            : formatBuildReport(report)
+        )
+      },
+      onError: (error) => {
+        logger.error(`Build failed: ${error.message}`)
+      }
+    })
+
+    logger.info(`Watching ${helper.config.databaseConfigDirectory}`)
+
+    process.once('SIGINT', () => {
+      watcher.close()
+    })
+    break
+  }
+}
+
+function printRecordErrors(errors) {
+  for (const error of errors) {
+    console.error(error.location)
+    for (const message of error.errors) {
+      console.error(`  - ${message}`)
+    }
+  }
+}
+
+function formatBuildReport(report) {
+  const lines = [
+    `Built ${report.generatedCodeDirectory} (schema version ${report.schemaVersion}), ${report.files.filter(({ written }) => written).length} files written`
+  ]
+  for (const namespace of report.namespaces) {
+    lines.push(
+      `  @${namespace.name}: ${namespace.structs.length} structs, ${namespace.collections.length} collections, ${namespace.indexes.length} indexes`
+    )
+  }
+  for (const plugin of report.plugins || []) {
+    lines.push(`  plugin ${plugin.name}: ${plugin.files.length} files`)
+  }
+  return lines.join('\n')
 }
@@ -1,21 +1,108 @@
 import * as fs from 'fs/promises'
+import { watch as watchDirectory } from 'fs'
+import { finished } from 'stream/promises'
+import { Worker } from 'worker_threads'
 import * as path from 'path'
+import * as os from 'os'
+import { pathToFileURL } from 'url'
+import { createHash } from 'crypto'
 
 import dedent from 'string-dedent'
 import Hyperschema from 'hyperschema'
 import HyperDB from 'hyperdb/builder/index.js'
+import generateDatabaseCode from 'hyperdb/builder/codegen.js'
 
 import * as templates from './templates/basic.js'
-import * as examples from './templates/examples.js'
+import { listTemplates, loadTemplate } from './templates/index.js'
+import { diffDefinitions } from './lib/diff.js'
+import {
+  generateSchemaTypes,
+  generateDatabaseTypes,
+  generateMessagesTypes
+} from './lib/typescript.js'
+import {
+  isDeclarativeSchemaFilepath,
+  loadDeclarativeSchema
+} from './lib/declarative.js'
+import { registerFunctions } from './lib/functions.js'
+import { summarizeDefinitions } from './lib/inspect.js'
+import {
+  getBuilderVersions,
+  hashBuildInputs,
+  hashPackageFiles,
+  hashSourceFiles,
+  manifestFilename,
+  readManifest,
+  verifyManifestFiles,
+  writeManifest
+} from './lib/manifest.js'
+import { describePlugins } from './lib/plugins.js'
+import { generateOpenCode, generateOpenTypes } from './lib/open.js'
+import {
+  findMissingRequires,
+  getInstalledVersion,
+  openDatabase,
+  openStore,
+  resolveProjectModule
+} from './lib/runtime.js'
+import { readFixtures, validateFixtures } from './lib/fixtures.js'
+import {
+  conflictStrategies,
+  createBackupHeader,
+  exportRecords,
+  hashDatabaseJson,
+  readBackupHeader
+} from './lib/backup.js'
+import {
+  getMigrationVersion,
+  loadMigrations,
+  migrateRecords,
+  setMigrationVersion
+} from './lib/migrations.js'
+import { startRepl } from './lib/repl.js'
+import { parseQueryOptions, resolveQueryTarget } from './lib/query.js'
+import { getStructs } from './lib/records.js'
+import {
+  configSchema,
+  findConfigFile,
+  findIgnoredConfigExports,
+  packageJsonConfigField,
+  readConfigFile,
+  resolveConfigSources
+} from './lib/config.js'
+import { createLogger } from './lib/logger.js'
+import { lintDefinitions } from './lib/lint.js'
+import { findReferences, generateDocs } from './lib/docs.js'
+import { findDatabases } from './lib/workspaces.js'
+import {
+  composeSchemaModules,
+  schemaDirectoryExtensions
+} from './lib/compose.js'
+import {
+  diagnoseDependency,
+  findBuildScript,
+  findMissingFunctions
+} from './lib/doctor.js'
+import { createUnifiedDiff } from './lib/patch.js'
+import { convertToEsm, renameCommonJsRequires } from './lib/esm.js'
+
+export { createLogger }
 
 export class HyperdbHelper {
+  static formats = ['js', 'json', 'yaml']
+
   static defaultConfig = {
     databaseConfigDirectory: './database',
     generatedCodeDirectory: './generated',
     functionsFilepath: './functions.js',
     schemaFilepath: './schema.js',
+    migrationsDirectory: './migrations',
     configFilepath: './config.js',
     projectPackageJsonFilepath: './package.json',
+    storage: './.corestore',
+    coreName: 'db',
+    backend: 'bee',
+    watchDebounce: 100,
     package: {}
   }
 
@@ -27,6 +114,7 @@ export class HyperdbHelper {
    * @property {Object} options - Configuration options merged with defaults
    * @property {Object} config - Current active configuration
    * @property {string[]} requiredDependencies - Required npm dependencies
+   * @property {Object} logger - Logger from createLogger(), or any object with error, warn, info and debug methods
    *
    * @example
    * const helper = new HyperdbHelper();
@@ -34,7 +122,9 @@ export class HyperdbHelper {
    * await helper.build();
    */
   constructor(options = {}) {
-    this.config = { ...HyperdbHelper.defaultConfig, ...options }
+    const { logger, ...config } = options
+    this.config = { ...HyperdbHelper.defaultConfig, ...config }
+    this.logger = logger || createLogger({ level: 'warn' })
     this.requiredDependencies = ['hyperschema', 'hyperdb', 'corestore']
   }
 
@@ -43,25 +133,61 @@ export class HyperdbHelper {
    * @async
    * @param {string} filepath - Path where the database schema directory should be created
    * @param {Object} options - Configuration options
-   * @param {boolean} [options.examples] - Whether to include example code in generated files
-   * @returns {Promise<Object>} Result object
+   * @param {string} [options.template] - Built-in template name, path to a template directory or npm package (default: empty)
+   * @param {boolean} [options.examples] - Shorthand for the blog template
+   * @param {string} [options.namespace] - Namespace used by the template
+   * @param {string} [options.format] - Schema file format, one of js, json or yaml (default: js)
+   * @param {string} [options.backend] - Backend the config and example index.js open the database with,
+   * bee or rocks (default: bee)
+   * @returns {Promise<Object>} Report object
    * @returns {string[]} result.dependenciesNeeded - Array of npm package names that need to be installed
+   * @returns {Object[]} result.files - Every file written, as { path, hash } with a sha256 hash
+   * @returns {string[]} result.warnings - Warnings raised along the way
    * @throws {Error} If package.json is missing from project directory
    * @throws {Error} If schema directory already exists
-   * @throws {Error} If example index.js file already exists when using examples flag
+   * @throws {Error} If format is not one of js, json or yaml
+   * @throws {Error} If the template cannot be found or has no schema in the chosen format
+   * @throws {Error} If example index.js file already exists when the template has one
    * @example
    * const helper = new HyperdbHelper();
-   * const { dependenciesNeeded } = await helper.init('./mydb', { examples: true });
+   * const { dependenciesNeeded } = await helper.init('./mydb', { template: 'chat' });
    * if (dependenciesNeeded.length) {
    *   console.log('Please install:', dependenciesNeeded.join(' '));
    * }
    */
-  async init(filepath, options) {
-    this.config = await this.mergeConfig(filepath, options)
+  async init(filepath, options = {}) {
+    if (options.format && !HyperdbHelper.formats.includes(options.format)) {
+      throw new Error(
+        `Error: Unknown schema format ${options.format}, expected one of ${HyperdbHelper.formats.join(', ')}`
+      )
+    }
+
+    const templateName =
+      options.template || (options.examples ? 'blog' : 'empty')
+    this.template = await loadTemplate(templateName)
+    this.report = { template: templateName, files: [], warnings: [] }
+
+    // Templates made of a schema.json or schema.yaml default to JSON
+    const format =
+      options.format || (this.template.schemaFileTemplate ? undefined : 'json')
+
+    if (format === 'js' && !this.template.schemaFileTemplate) {
+      throw new Error(
+        `Error: Template ${templateName} has no schema.js, use --format json or yaml`
+      )
+    }
+    if (format && format !== 'js' && !this.template.schemaDefinition) {
+      throw new Error(
+        `Error: Template ${templateName} has no schema.json or schema.yaml, use --format js`
+      )
+    }
+
+    this.config = await this.mergeConfig(filepath, { ...options, format })
     this.validateConfig(this.config) // Add validation here
+    this.config.warnings.forEach((warning) => this.warn(warning))
 
     if (!(await exists('./package.json'))) {
-      console.log(dedent`
+      this.logger.info(dedent`
         Please first create a package.json file in your project directory
         and choose either "module" or "commonjs" as the "type" field
 
@@ -75,7 +201,22 @@ export class HyperdbHelper {
 
     await this.createDefaultFiles()
     const dependenciesNeeded = this.checkPackageDependencies()
-    return { dependenciesNeeded }
+    return { ...this.report, dependenciesNeeded }
+  }
+
+  /**
+   * Lists the templates init can start from
+   * @async
+   * @returns {Promise<Array<{ name: string, description: string, source: string }>>}
+   * Built-in templates and installed hyperdb-helper-template-* packages
+   * @example
+   * const helper = new HyperdbHelper();
+   * for (const template of await helper.templates()) {
+   *   console.log(template.name, template.description);
+   * }
+   */
+  async templates() {
+    return listTemplates()
   }
 
   /**
@@ -84,16 +225,47 @@ export class HyperdbHelper {
    * @param {string} filepath - Path to the database directory
    * @param {Object} options - Configuration options
    * @param {boolean} [options.examples] - Whether to include example code
+   * @param {boolean} [options.allowBreaking] - Build even if the schema has breaking changes
+   * @param {boolean} [options.lint] - Lint the schema first, also enabled by lint.build in the config
+   * @param {boolean} [options.check] - Build into a temporary directory and compare it with the
+   * generated code instead of writing it
+   * @param {boolean} [options.force] - Build even if nothing changed since the last build
+   * @param {boolean} [options.generatedOnly] - Only write into the generated code directory,
+   * leaving the package.json of the database directory as it is
    * @throws {Error} If schema directory does not exist
    * @throws {Error} If schema files cannot be loaded or processed
-   * @returns {Promise<void>}
+   * @throws {Error} If linting is enabled and finds errors
+   * @throws {Error} If the schema has breaking changes and allowBreaking is not set
+   * @throws {Error} If a collection trigger or index map is not exported by the functions file
+   * @throws {Error} If the functions file exports a function that is never used
+   * @throws {Error} If a plugin hook throws, naming the plugin and hook
+   * @returns {Promise<Object>} Report of the build
+   * @returns {string} result.generatedCodeDirectory - Where the generated code was written
+   * @returns {number} result.schemaVersion - Version of the generated schema
+   * @returns {Object[]} result.namespaces - Names of the structs, collections and indexes of each namespace
+   * @returns {Object[]} result.files - Every generated file, as { path, hash, written } with a
+   * sha256 hash. Files whose contents did not change are not written again.
+   * @returns {string[]} result.warnings - Warnings raised along the way
+   * @returns {Object[]} result.plugins - Each plugin of the config, as { name, files } with the
+   * paths of the files it emitted
+   * @returns {boolean} result.upToDate - Whether the build was skipped because its inputs did
+   * not change, or with check, whether the generated code is up to date
+   * @returns {Object[]} [result.changes] - With check, every file that is missing, out of
+   * date or no longer generated, as { path, status, diff } with a unified diff
    * @example
    * const helper = new HyperdbHelper();
-   * await helper.build('./mydb', { examples: true });
+   * const { files, warnings } = await helper.build('./mydb');
    * // Generated database code will be in ./mydb/generated/
+   *
+   * const { upToDate } = await helper.build('./mydb');
+   * // true, unless the schema, functions, config or hyperdb changed
+   *
+   * const { upToDate } = await helper.build('./mydb', { check: true });
    */
-  async build(filepath, options) {
+  async build(filepath, options = {}) {
     this.config = await this.mergeConfig(filepath, options)
+    this.report = { files: [], warnings: [] }
+    this.config.warnings.forEach((warning) => this.warn(warning))
 
     if (!(await exists(this.config.databaseConfigDirectory))) {
       throw new Error(dedent`
@@ -102,285 +274,2194 @@ export class HyperdbHelper {
       `)
     }
 
+    // A manifest of the last build records its inputs and the files it wrote,
+    // so the build is skipped while neither changed and no other files showed up
+    const inputs = await this.getBuildInputsHash()
+    // Linting is not recorded in the manifest, so a build asked to lint always runs
+    if (!options.check && !options.force && !options.lint) {
+      const { generatedCodeDirectory } = this.config
+      const manifest = await readManifest(generatedCodeDirectory)
+      if (
+        manifest?.inputs === inputs &&
+        (await verifyManifestFiles(generatedCodeDirectory, manifest)) &&
+        !(
+          await this.findStaleFiles(
+            Object.keys(manifest.files).map((filepath) =>
+              path.resolve(generatedCodeDirectory, filepath)
+            )
+          )
+        ).length
+      ) {
+        return this.getUpToDateBuildReport(manifest)
+      }
+    }
+
     const schemaDefinitions = await this.getSchemaDefinitions(
       this.config.schemaFilepath
     )
-    await this.buildSchema(schemaDefinitions)
-    await this.createDatabaseConfigPackageJsonFile()
-    await this.createGeneratedPackageJsonFile()
+    const functions = await this.getFunctions(this.config.functionsFilepath)
+
+    if (this.config.lint?.build || options.lint) {
+      const problems = this.lintSchema(schemaDefinitions, functions)
+      const errors = problems.filter(({ severity }) => severity === 'error')
+      if (errors.length) {
+        throw new Error(dedent`
+          Error: Schema has lint errors:
+          ${errors.map((problem) => `  - ${problem.message} (${problem.rule})`).join('\n')}
+        `)
+      }
+      for (const problem of problems) {
+        this.warn(`${problem.message} (${problem.rule})`)
+      }
+    }
+
+    const { breaking } = await this.diffSchema(schemaDefinitions, functions)
+    const refused = breaking.filter((change) => change.refused)
+    if (refused.length) {
+      throw new Error(dedent`
+        Error: Schema has breaking changes that cannot be built over the generated code:
+        ${refused.map((change) => `  - ${change.message}`).join('\n')}
+        --allow-breaking cannot force these, revert them or rebuild from scratch and run 'hyperdb-helper migrate'
+      `)
+    }
+
+    // Check writes nothing, so breaking changes only show up in its diff
+    if (!options.check) {
+      if (breaking.length && !this.config.allowBreaking) {
+        throw new Error(dedent`
+          Error: Schema has breaking changes:
+          ${breaking.map((change) => `  - ${change.message}`).join('\n')}
+          Run 'hyperdb-helper build --allow-breaking' to build anyway
+        `)
+      }
+      for (const change of breaking) {
+        this.warn(`Building despite breaking change: ${change.message}`)
+      }
+    }
+
+    // With check, every file is written to a temporary directory instead
+    if (options.check) {
+      this.checkDirectory = await fs.mkdtemp(
+        path.join(os.tmpdir(), 'hyperdb-helper-check-')
+      )
+      this.checkFiles = []
+    }
+
+    this.report.plugins = (this.config.plugins || []).map((plugin) => ({
+      name: plugin.name,
+      files: []
+    }))
+
+    try {
+      await this.runPlugins('beforeBuild')
+      const definitions = await this.buildSchema(schemaDefinitions, functions)
+      await this.createTypeDefinitionFiles(definitions)
+      await this.createOpenFile()
+      if (!options.generatedOnly) {
+        await this.createDatabaseConfigPackageJsonFile()
+      }
+      await this.createGeneratedPackageJsonFile()
+
+      const report = {
+        ...this.summarizeBuild(definitions),
+        ...this.report,
+        upToDate: false
+      }
+
+      // Files emitted now are still part of the build, so they are
+      // checked and recorded in the manifest like the others
+      await this.runPlugins('afterBuild', report)
+
+      if (options.check) {
+        report.changes = await this.getCheckChanges()
+        report.upToDate = !report.changes.length
+      } else {
+        for (const filepath of await this.findStaleFiles(
+          this.report.files.map((file) => path.resolve(file.path))
+        )) {
+          await fs.rm(filepath)
+          this.logger.debug(`Removed ${path.relative(process.cwd(), filepath)}`)
+        }
+
+        await writeManifest(
+          this.config.generatedCodeDirectory,
+          inputs,
+          this.report.files.map((file) => ({
+            filepath: path.resolve(file.path),
+            hash: file.hash,
+            plugin: file.plugin
+          }))
+        )
+      }
+
+      return report
+    } finally {
+      if (this.checkDirectory) {
+        await fs.rm(this.checkDirectory, { recursive: true, force: true })
+        this.checkDirectory = null
+        this.checkFiles = null
+      }
+    }
   }
 
   /**
-   * Cleans up generated files and resources
+   * Builds every database of a project, like the services of a monorepo
    * @async
-   * @method
-   * @description Removes the generated code directory and any temporary files created during the build process
-   * @throws {Error} If cleanup operation fails
-   * @returns {Promise<void>}
+   * @param {Object} options - Configuration options, as for build
+   * @param {boolean} [options.allowBreaking] - Build even if a schema has breaking changes
+   * @param {boolean} [options.lint] - Lint each schema first
+   * @param {boolean} [options.check] - Compare each build with its generated code instead of writing it
+   * @param {boolean} [options.force] - Build even if nothing changed since the last build
+   * @throws {Error} If no databases are found
+   * @returns {Promise<{ databases: Object[] }>} Result of each database as { directory, report }
+   * when it built, or { directory, error } with the error message when it failed
+   * @description The databases are listed in the databases config of the hyperdbHelper field
+   * of package.json. Without that list, the database directory of the project and of each of
+   * its npm workspaces is built. Each database is built by a helper of its own with its own
+   * config, all of them at the same time, and a failing build does not stop the others.
    * @example
    * const helper = new HyperdbHelper();
-   * await helper.init();
-   * await helper.build();
-   * // When done with the helper
-   * await helper.cleanup();
+   * const { databases } = await helper.buildAll();
+   * for (const { directory, error } of databases) {
+   *   if (error) console.error(directory, error);
+   * }
    */
-  async cleanup() {
-    try {
-      // Cleanup temporary files/resources
-      await fs.rm(this.config.generatedCodeDirectory, {
-        recursive: true,
-        force: true
-      })
-    } catch (error) {
-      this.logger.warn('Cleanup failed:', error)
+  async buildAll(options = {}) {
+    this.config = await this.mergeConfig(undefined, options)
+
+    const databases = await findDatabases(this.config.projectDirectory, {
+      databases: this.config.databases
+    })
+    if (!databases.length) {
+      throw new Error(dedent`
+        Error: No databases found
+        List their directories in databases in the ${packageJsonConfigField} field of package.json,
+        or run 'hyperdb-helper init' to create one
+      `)
     }
-  }
 
-  validateConfig(config) {
-    const required = [
-      // Core directories
-      'databaseConfigDirectory', // Where the schema configuration lives
-      'generatedCodeDirectory', // Where generated code will be output
+    // Paths of a single database would point every build at the same files
+    const buildOptions = {
+      ...options,
+      generatedCodeDirectory: undefined,
+      schemaFilepath: undefined,
+      functionsFilepath: undefined
+    }
 
-      // Essential file paths for schema definition
-      'functionsFilepath', // Custom functions for the schema
-      'schemaFilepath', // The main schema definition file
-      'configFilepath', // Configuration file path
+    const builds = []
+    for (const { directory, projectDirectory } of databases) {
+      const helper = new HyperdbHelper({ logger: this.logger })
+      const databaseOptions = { ...buildOptions, projectDirectory }
+      const build = {
+        directory: path.relative(process.cwd(), directory) || '.',
+        run: () => helper.build(directory, databaseOptions)
+      }
 
-      // Package.json related paths
-      'projectPackageJsonFilepath', // Project's package.json
-      'databaseConfigJsonFilepath', // Database config package.json
-      'generatedPackageJsonFilepath', // Generated code package.json
+      try {
+        build.config = await helper.mergeConfig(directory, databaseOptions)
+      } catch (error) {
+        build.run = () => Promise.reject(error)
+      }
+      builds.push(build)
+    }
 
-      // Generated code directories
-      'hyperschemaDirectory', // Where schema definitions are generated
-      'hyperdbDirectory', // Where database code is generated
+    // Builds sharing a generated code directory would overwrite each other
+    for (const build of builds) {
+      const others = builds.filter(
+        (other) =>
+          other !== build &&
+          other.config &&
+          other.config.generatedCodeDirectory ===
+            build.config?.generatedCodeDirectory
+      )
+      if (others.length) {
+        const error = new Error(
+          `Error: ${build.directory} shares its generated code directory with ${others.map((other) => other.directory).join(', ')}`
+        )
+        build.run = () => Promise.reject(error)
+      }
+    }
 
-      // Module configuration
-      'moduleType' // 'commonjs' or 'module'
-    ]
+    const results = await Promise.allSettled(builds.map((build) => build.run()))
 
-    const missing = required.filter((field) => !config[field])
+    return {
+      databases: results.map((result, i) =>
+        result.status === 'fulfilled'
+          ? { directory: builds[i].directory, report: result.value }
+          : { directory: builds[i].directory, error: result.reason.message }
+      )
+    }
+  }
 
-    if (missing.length > 0) {
+  /**
+   * Compares the schema files with the currently generated definitions
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @throws {Error} If schema directory does not exist
+   * @returns {Promise<{ additive: Object[], breaking: Object[] }>} Changes grouped by compatibility
+   * @example
+   * const helper = new HyperdbHelper();
+   * const { breaking } = await helper.diff('./mydb');
+   * if (breaking.length) {
+   *   console.log(breaking.map((change) => change.message).join('\n'));
+   * }
+   */
+  async diff(filepath, options) {
+    this.config = await this.mergeConfig(filepath, options)
+
+    if (!(await exists(this.config.databaseConfigDirectory))) {
       throw new Error(dedent`
-        Missing required config fields:
-        ${missing.map((field) => `  - ${field}`).join('\n')}
+        Error: Database directory not found at ${this.config.databaseConfigDirectory}
+        Run 'hyperdb-helper init' to create a new schema directory
       `)
     }
-  }
 
-  async mergeConfig(filepath, options) {
-    const databaseConfigDirectory = getDatabaseConfigDirectory(filepath)
-    const configFilepath = path.join(databaseConfigDirectory, 'config.js')
+    const schemaDefinitions = await this.getSchemaDefinitions(
+      this.config.schemaFilepath
+    )
+    const functions = await this.getFunctions(this.config.functionsFilepath)
+    return this.diffSchema(schemaDefinitions, functions)
+  }
 
-    let userConfig = {}
-    try {
-      userConfig = await getConfig(configFilepath)
-    } catch (error) {}
+  /**
+   * Checks the schema file for mistakes that would otherwise only show up at build or runtime
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @throws {Error} If schema directory does not exist
+   * @throws {Error} If schema files cannot be loaded
+   * @returns {Promise<{ problems: Object[] }>} Problems with their rule id, severity
+   * and the name of the struct, collection or index, errors first
+   * @description Rule severities can be changed with lint.rules in the config,
+   * set lint.build to lint before every build
+   * @example
+   * const helper = new HyperdbHelper();
+   * const { problems } = await helper.lint('./mydb');
+   * for (const problem of problems) {
+   *   console.log(problem.severity, problem.message);
+   * }
+   */
+  async lint(filepath, options) {
+    this.config = await this.mergeConfig(filepath, options)
 
-    const config = {
-      ...HyperdbHelper.defaultConfig,
-      ...userConfig,
-      databaseConfigDirectory
+    if (!(await exists(this.config.databaseConfigDirectory))) {
+      throw new Error(dedent`
+        Error: Database directory not found at ${this.config.databaseConfigDirectory}
+        Run 'hyperdb-helper init' to create a new schema directory
+      `)
     }
 
-    config.examples = options.examples
-
-    config.functionsFilepath = getFilepathFromConfig(
-      config,
-      'functionsFilepath',
-      './functions.js'
-    )
-    config.schemaFilepath = getFilepathFromConfig(
-      config,
-      'schemaFilepath',
-      './schema.js'
-    )
-    config.configFilepath = getFilepathFromConfig(
-      config,
-      'configFilepath',
-      './config.js'
-    )
-    config.projectPackageJsonFilepath = getFilepathFromConfig(
-      config,
-      'projectPackageJsonFilepath',
-      './package.json'
-    )
-    config.databaseConfigJsonFilepath = path.join(
-      config.databaseConfigDirectory,
-      'package.json'
-    )
-    config.generatedCodeDirectory = getFilepathFromConfig(
-      config,
-      'generatedCodeDirectory',
-      './generated'
-    )
-    config.generatedPackageJsonFilepath = path.join(
-      config.generatedCodeDirectory,
-      'package.json'
-    )
-    config.hyperschemaDirectory = path.join(
-      config.generatedCodeDirectory,
-      'schemas'
-    )
-    config.hyperdbDirectory = path.join(
-      config.generatedCodeDirectory,
-      'database'
+    const schemaDefinitions = await this.getSchemaDefinitions(
+      this.config.schemaFilepath
     )
+    const functions = await this.getFunctions(this.config.functionsFilepath)
+    return { problems: this.lintSchema(schemaDefinitions, functions) }
+  }
 
-    try {
-      config.package = await getPackageJson(process.cwd())
-    } catch (error) {}
+  /**
+   * Diagnoses problems with the project setup, each with a suggested fix
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @param {boolean} [options.fix] - Apply the safe fixes: rebuilding generated code that is
+   * out of date and adding a build script to package.json
+   * @throws {Error} If schema directory does not exist
+   * @throws {Error} If the config is invalid
+   * @returns {Promise<{ findings: Object[] }>} Findings with their check id, severity, message
+   * and suggested fix, whether the fix is safe to apply and whether it was applied
+   * @example
+   * const helper = new HyperdbHelper();
+   * const { findings } = await helper.doctor('./mydb', { fix: true });
+   * for (const finding of findings) {
+   *   console.log(finding.fixed ? 'fixed' : finding.severity, finding.message);
+   * }
+   */
+  async doctor(filepath, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
 
-    if (config.package) {
-      config.moduleType = config.package.type || 'commonjs'
+    if (!(await exists(this.config.databaseConfigDirectory))) {
+      throw new Error(dedent`
+        Error: Database directory not found at ${this.config.databaseConfigDirectory}
+        Run 'hyperdb-helper init' to create a new schema directory
+      `)
     }
 
-    return config
-  }
+    const findings = [
+      ...(await this.diagnoseDependencies()),
+      ...(await this.diagnoseConfigExports())
+    ]
 
-  async getConfig(configFilepath) {
-    const module = await import(configFilepath)
-    return { ...module.default }
-  }
+    const functionsFindings = await this.diagnoseFunctionsExports()
+    findings.push(...functionsFindings)
 
-  async createDefaultFiles() {
-    if (await exists(this.config.databaseConfigDirectory)) {
-      throw new Error(
-        `Error: Schema directory already exists at ${this.config.databaseConfigDirectory}`
-      )
-    }
+    findings.push(...(await this.diagnoseModuleType()))
 
-    const exampleIndexFilepath = path.join(
-      path.dirname(this.config.databaseConfigDirectory),
-      'index.js'
-    )
+    // Building needs every function the schema uses
+    const generatedFindings = functionsFindings.length
+      ? []
+      : await this.diagnoseGeneratedCode(filepath, options)
+    findings.push(...generatedFindings)
 
-    if (this.config.examples) {
-      if (await exists(exampleIndexFilepath)) {
-        throw new Error(
-          `Error: index.js file already exists at ${exampleIndexFilepath}`
-        )
+    // Rebuilding cannot fix the module type while the schema does not build
+    if (
+      functionsFindings.length ||
+      generatedFindings.some(({ fixable }) => !fixable)
+    ) {
+      for (const finding of findings) {
+        if (finding.check === 'module-type') finding.fixable = false
       }
     }
 
-    await fs.mkdir(this.config.databaseConfigDirectory, {
-      recursive: true
-    })
+    findings.push(...this.diagnoseBuildScript())
 
-    await this.createConfigFile()
-    await this.createFunctionsFile()
-    await this.createSchemaFile()
-    await fs.mkdir(this.config.generatedCodeDirectory)
-    await this.createDatabaseConfigPackageJsonFile()
-    await this.createGeneratedPackageJsonFile()
+    if (options.fix) {
+      const rebuild = findings.filter(
+        ({ check, fixable }) =>
+          fixable && (check === 'module-type' || check === 'stale-generated')
+      )
+      if (rebuild.length) {
+        const helper = new HyperdbHelper({ logger: this.logger })
+        await helper.build(filepath, { ...options, force: true })
+        for (const finding of rebuild) {
+          finding.fixed = true
+        }
+      }
 
-    if (this.config.examples) {
-      await this.createExampleIndexFile(exampleIndexFilepath)
+      const script = findings.find(
+        ({ check, fixable }) => fixable && check === 'build-script'
+      )
+      if (script) {
+        await this.addBuildScript()
+        script.fixed = true
+      }
     }
-  }
 
-  async createConfigFile() {
-    await fs.writeFile(
-      this.config.configFilepath,
-      templates.configFileTemplate(this.config.moduleType)
-    )
+    return { findings }
+  }
+
+  /**
+   * Summarizes the structs, collections and indexes of the built database
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @param {string} [options.namespace] - Only include this namespace
+   * @throws {Error} If the database has not been built
+   * @returns {Promise<{ namespaces: Object[] }>} Summary grouped by namespace
+   * @example
+   * const helper = new HyperdbHelper();
+   * const { namespaces } = await helper.inspect('./mydb');
+   * for (const namespace of namespaces) {
+   *   console.log(namespace.name, namespace.collections.length);
+   * }
+   */
+  async inspect(filepath, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
+
+    const { schema, database } = await this.getBuiltDefinitions()
+
+    return summarizeDefinitions(schema, database, {
+      namespace: options.namespace
+    })
+  }
+
+  /**
+   * Generates Markdown documentation of the built database, with a Mermaid ER diagram
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @param {string} [options.out] - File to write the Markdown to
+   * @throws {Error} If the database has not been built
+   * @throws {Error} If a field references something that is not a collection
+   * @returns {Promise<{ markdown: string, references: Object[] }>} The Markdown and
+   * the references between structs and collections shown in the diagram
+   * @description A field refers to a collection when it is named after it, like
+   * post.author or post.authorId for the author collection, and has the type of its key.
+   * Fields can also name the collection they refer to with references: '@example/author',
+   * or opt out with references: false.
+   * @example
+   * const helper = new HyperdbHelper();
+   * await helper.docs('./mydb', { out: './SCHEMA.md' });
+   */
+  async docs(filepath, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
+
+    const { schema, database } = await this.getBuiltDefinitions()
+    const schemaDefinitions = await this.getSchemaDefinitions(
+      this.config.schemaFilepath
+    )
+
+    const summary = summarizeDefinitions(schema, database)
+    const references = findReferences(
+      summary,
+      this.getFieldReferences(schemaDefinitions)
+    )
+    const markdown = generateDocs(summary, {
+      references,
+      schemaVersion: schema.version
+    })
+
+    if (options.out) {
+      await this.writeFile(path.resolve(options.out), markdown)
+    }
+
+    return { markdown, references }
+  }
+
+  /**
+   * Inserts fixture records into a local Corestore using the generated definitions
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @param {string|string[]} options.file - JSON or NDJSON fixture files keyed by collection name
+   * @param {string} [options.storage] - Corestore storage directory (default: ./.corestore)
+   * @param {string} [options.name] - Name of the core in the Corestore (default: db)
+   * @throws {Error} If the database has not been built
+   * @returns {Promise<{ collections: Object, errors: Object[] }>} Per-collection counts and validation errors
+   * @description All records are inserted in a single transaction, and nothing is
+   * inserted if any record fails validation
+   * @example
+   * const helper = new HyperdbHelper();
+   * const { collections, errors } = await helper.seed('./mydb', {
+   *   file: './fixtures.ndjson'
+   * });
+   */
+  async seed(filepath, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
+
+    const { schema, database } = await this.getBuiltDefinitions()
+
+    const files = [].concat(options.file || [])
+    if (!files.length) {
+      throw new Error('Error: No fixture files given')
+    }
+
+    const fixtures = []
+    for (const file of files) {
+      fixtures.push(...(await readFixtures(file)))
+    }
+
+    const { entries, collections, errors } = validateFixtures(
+      fixtures,
+      schema,
+      database
+    )
+
+    for (const counts of Object.values(collections)) {
+      counts.inserted = 0
+    }
+
+    if (errors.length) {
+      return { collections, errors }
+    }
+
+    const { db, close } = await this.openDatabase()
+
+    try {
+      const tx = db.transaction()
+      for (const { collection, record } of entries) {
+        await tx.insert(collection, record)
+        collections[collection].inserted++
+      }
+      await tx.flush()
+    } finally {
+      await close()
+    }
+
+    return { collections, errors }
+  }
+
+  /**
+   * Watches the database directory and rebuilds whenever a file in it changes
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @param {number} [options.debounce] - Milliseconds to wait for changes to settle before rebuilding
+   * @param {Function} [options.onBuild] - Called with the report after each successful build
+   * @param {Function} [options.onError] - Called with the error when a build or the watcher fails
+   * @throws {Error} If schema directory does not exist
+   * @returns {Promise<{ close: Function }>} Watcher handle, call close() to stop watching
+   * @description Every rebuild runs in a worker thread of its own, which imports the
+   * schema, functions and config files anew and frees them when it exits, so memory
+   * does not grow over a long watch session.
+   * @example
+   * const helper = new HyperdbHelper();
+   * const watcher = await helper.watch('./mydb', {
+   *   onError: (error) => console.error(error)
+   * });
+   * // Later
+   * watcher.close();
+   */
+  async watch(filepath, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
+
+    if (!(await exists(this.config.databaseConfigDirectory))) {
+      throw new Error(dedent`
+        Error: Database directory not found at ${this.config.databaseConfigDirectory}
+        Run 'hyperdb-helper init' to create a new schema directory
+      `)
+    }
+
+    const {
+      debounce = this.config.watchDebounce,
+      onBuild = () => {},
+      onError = (error) => console.error(error),
+      ...buildOptions
+    } = options
+
+    // Builds are serialized so a slow build is never overlapped by the next one
+    let timeout = null
+    let building = false
+    let pending = false
+
+    // Packages the schema file imports are not part of the build inputs, so
+    // builds after a change are forced
+    const rebuild = async (force = true) => {
+      if (building) {
+        pending = true
+        return
+      }
+
+      building = true
+      try {
+        onBuild(
+          await buildInWorker(
+            filepath,
+            { ...buildOptions, force },
+            this.logger.level
+          )
+        )
+      } catch (error) {
+        onError(error)
+      }
+      building = false
+
+      if (pending) {
+        pending = false
+        await rebuild()
+      }
+    }
+
+    await rebuild(Boolean(options.force))
+
+    const watcher = watchDirectory(
+      this.config.databaseConfigDirectory,
+      { recursive: true },
+      (eventType, filename) => {
+        if (!filename) return
+
+        // The generated code lives inside the database directory by default,
+        // so changes we write ourselves must not trigger another build
+        const changedFilepath = path.join(
+          this.config.databaseConfigDirectory,
+          filename
+        )
+        if (
+          isWithinDirectory(this.config.generatedCodeDirectory, changedFilepath)
+        ) {
+          return
+        }
+        if (changedFilepath === this.config.databaseConfigJsonFilepath) {
+          return
+        }
+
+        clearTimeout(timeout)
+        timeout = setTimeout(rebuild, debounce)
+      }
+    )
+    // Like removing the watched directory, which would crash the process otherwise
+    watcher.on('error', (error) => onError(error))
+
+    return {
+      close() {
+        clearTimeout(timeout)
+        watcher.close()
+      }
+    }
+  }
+
+  /**
+   * Cleans up generated files and resources
+   * @async
+   * @method
+   * @description Removes the generated code directory and any temporary files created during the build process
+   * @throws {Error} If cleanup operation fails
+   * @returns {Promise<void>}
+   * @example
+   * const helper = new HyperdbHelper();
+   * await helper.init();
+   * await helper.build();
+   * // When done with the helper
+   * await helper.cleanup();
+   */
+  async cleanup() {
+    try {
+      // Cleanup temporary files/resources
+      await fs.rm(this.config.generatedCodeDirectory, {
+        recursive: true,
+        force: true
+      })
+    } catch (error) {
+      this.logger.warn('Cleanup failed:', error)
+    }
+  }
+
+  /**
+   * Resolves the configuration of a database directory and where each value came from
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Options that override the config files
+   * @param {string} [options.generatedCodeDirectory] - Where generated code is written
+   * @param {string} [options.schemaFilepath] - Path to the schema file
+   * @param {string} [options.functionsFilepath] - Path to the functions file
+   * @param {string} [options.generatedModuleType] - Whether the generated code is commonjs or module
+   * @throws {Error} If a config file cannot be loaded, or has unknown keys or values of the wrong type
+   * @returns {Promise<{ config: Object, sources: Object }>} Resolved values, with paths
+   * relative to the working directory, and the source of each value
+   * @example
+   * const helper = new HyperdbHelper();
+   * const { config, sources } = await helper.resolveConfig('./mydb');
+   * console.log(config.generatedCodeDirectory, 'from', sources.generatedCodeDirectory);
+   */
+  async resolveConfig(filepath, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
+
+    const config = {}
+    const sources = {}
+
+    for (const key of Object.keys(configSchema)) {
+      const value = this.config[key]
+      config[key] =
+        typeof value === 'string' && path.isAbsolute(value)
+          ? path.relative(process.cwd(), value) || '.'
+          : value
+      sources[key] =
+        this.config.sources[key] || defaultConfigSources[key] || 'default'
+    }
+
+    config.moduleType = this.config.moduleType
+    sources.moduleType = this.config.package?.type
+      ? 'package.json#type'
+      : 'default'
+
+    return { config, sources }
+  }
+
+  validateConfig(config) {
+    const required = [
+      // Core directories
+      'databaseConfigDirectory', // Where the schema configuration lives
+      'generatedCodeDirectory', // Where generated code will be output
+
+      // Essential file paths for schema definition
+      'functionsFilepath', // Custom functions for the schema
+      'schemaFilepath', // The main schema definition file
+      'configFilepath', // Configuration file path
+
+      // Package.json related paths
+      'projectPackageJsonFilepath', // Project's package.json
+      'databaseConfigJsonFilepath', // Database config package.json
+      'generatedPackageJsonFilepath', // Generated code package.json
+
+      // Generated code directories
+      'hyperschemaDirectory', // Where schema definitions are generated
+      'hyperdbDirectory', // Where database code is generated
+
+      // Module configuration
+      'moduleType' // 'commonjs' or 'module'
+    ]
+
+    const missing = required.filter((field) => !config[field])
+
+    if (missing.length > 0) {
+      throw new Error(dedent`
+        Missing required config fields:
+        ${missing.map((field) => `  - ${field}`).join('\n')}
+      `)
+    }
+  }
+
+  async mergeConfig(filepath, options = {}) {
+    const databaseConfigDirectory = getDatabaseConfigDirectory(filepath)
+    const projectDirectory = path.resolve(options.projectDirectory || '.')
+    const projectPackageJson = await getPackageJson(projectDirectory)
+    const { filepath: configFilepath, ignored } = await findConfigFile(
+      databaseConfigDirectory
+    )
+
+    // Later sources win: package.json, then the config file, then options
+    const sources = [
+      {
+        name: `package.json#${packageJsonConfigField}`,
+        values: projectPackageJson?.[packageJsonConfigField] || {}
+      }
+    ]
+    if (configFilepath) {
+      sources.push({
+        name: path.relative(process.cwd(), configFilepath),
+        values: await readConfigFile(configFilepath)
+      })
+    }
+    sources.push({ name: 'options', values: getConfigOptions(options) })
+
+    const resolved = resolveConfigSources(sources)
+    if (resolved.errors.length) {
+      throw new Error(dedent`
+        Error: Invalid configuration:
+        ${resolved.errors.map((error) => `  - ${error}`).join('\n')}
+      `)
+    }
+
+    const config = {
+      ...HyperdbHelper.defaultConfig,
+      ...resolved.values,
+      databaseConfigDirectory
+    }
+    config.sources = resolved.sources
+    config.warnings = ignored.map(
+      (filepath) =>
+        `Ignoring ${path.relative(process.cwd(), filepath)}, ${path.relative(process.cwd(), configFilepath)} is loaded instead`
+    )
+    config.configFilepath =
+      configFilepath || path.join(databaseConfigDirectory, 'config.js')
+
+    config.examples = options.examples
+    config.namespace = options.namespace
+    config.allowBreaking = options.allowBreaking
+
+    // Without an explicit schema file the format option decides at init,
+    // and whichever schema file exists in the directory is used afterwards
+    if (!resolved.values.schemaFilepath) {
+      config.schemaFilepath = await getDefaultSchemaFilepath(
+        databaseConfigDirectory,
+        options.format
+      )
+    }
+
+    config.functionsFilepath = getFilepathFromConfig(
+      config,
+      'functionsFilepath',
+      './functions.js'
+    )
+    config.schemaFilepath = getFilepathFromConfig(
+      config,
+      'schemaFilepath',
+      './schema.js'
+    )
+    config.format = getSchemaFormat(config.schemaFilepath)
+    config.migrationsDirectory = getFilepathFromConfig(
+      config,
+      'migrationsDirectory',
+      './migrations'
+    )
+    config.projectPackageJsonFilepath = getFilepathFromConfig(
+      config,
+      'projectPackageJsonFilepath',
+      './package.json'
+    )
+    config.databaseConfigJsonFilepath = path.join(
+      config.databaseConfigDirectory,
+      'package.json'
+    )
+    config.generatedCodeDirectory = getFilepathFromConfig(
+      config,
+      'generatedCodeDirectory',
+      './generated'
+    )
+    config.generatedPackageJsonFilepath = path.join(
+      config.generatedCodeDirectory,
+      'package.json'
+    )
+    config.hyperschemaDirectory = path.join(
+      config.generatedCodeDirectory,
+      'schemas'
+    )
+    config.hyperdbDirectory = path.join(
+      config.generatedCodeDirectory,
+      'database'
+    )
+
+    config.projectDirectory = projectDirectory
+    config.package = projectPackageJson
+
+    if (config.package) {
+      config.moduleType = config.package.type || 'commonjs'
+    }
+    config.generatedModuleType ||= config.moduleType || 'commonjs'
+
+    return config
+  }
+
+  async getConfig(configFilepath) {
+    return { ...(await readConfigFile(configFilepath)) }
+  }
+
+  async createDefaultFiles() {
+    if (await exists(this.config.databaseConfigDirectory)) {
+      throw new Error(
+        `Error: Schema directory already exists at ${this.config.databaseConfigDirectory}`
+      )
+    }
+
+    const exampleIndexFilepath = path.join(
+      path.dirname(this.config.databaseConfigDirectory),
+      'index.js'
+    )
+
+    if (this.template.exampleIndexFileTemplate) {
+      if (await exists(exampleIndexFilepath)) {
+        throw new Error(
+          `Error: index.js file already exists at ${exampleIndexFilepath}`
+        )
+      }
+    }
+
+    await fs.mkdir(this.config.databaseConfigDirectory, {
+      recursive: true
+    })
+
+    await this.createConfigFile()
+    await this.createFunctionsFile()
+    await this.createSchemaFile()
+    await fs.mkdir(this.config.generatedCodeDirectory)
+    await this.createDatabaseConfigPackageJsonFile()
+    await this.createGeneratedPackageJsonFile()
+
+    if (this.template.exampleIndexFileTemplate) {
+      await this.createExampleIndexFile(exampleIndexFilepath)
+    }
+  }
+
+  async createConfigFile() {
+    const configFileTemplate =
+      this.template.configFileTemplate || templates.configFileTemplate
+
+    await this.writeFile(
+      this.config.configFilepath,
+      configFileTemplate(this.getTemplateVariables())
+    )
   }
 
   async createFunctionsFile() {
-    const template = this.config.examples
-      ? examples.functionFileTemplate()
-      : templates.functionFileTemplate()
+    await this.writeFile(
+      this.config.functionsFilepath,
+      this.template.functionFileTemplate(this.getTemplateVariables())
+    )
+  }
+
+  async createSchemaFile() {
+    if (this.config.format === 'js') {
+      await this.writeFile(
+        this.config.schemaFilepath,
+        this.template.schemaFileTemplate(this.getTemplateVariables())
+      )
+      return
+    }
+
+    const definition = this.template.schemaDefinition(
+      this.getTemplateVariables()
+    )
+
+    // Points editors at the JSON Schema for completion and validation
+    const jsonSchemaPath = path
+      .relative(
+        this.config.databaseConfigDirectory,
+        path.join(
+          process.cwd(),
+          'node_modules',
+          'hyperdb-helper',
+          'json-schema',
+          'schema.json'
+        )
+      )
+      .replaceAll('\\', '/')
+
+    const content =
+      this.config.format === 'json'
+        ? templates.schemaJsonFileTemplate(definition, { jsonSchemaPath })
+        : templates.schemaYamlFileTemplate(definition, { jsonSchemaPath })
+
+    await this.writeFile(this.config.schemaFilepath, content)
+  }
+
+  async createDatabaseConfigPackageJsonFile() {
+    const schemaPath = getImportPath(
+      this.config.databaseConfigDirectory,
+      this.config.schemaFilepath
+    )
+
+    // A schema directory has no single entry point, so each file is exported
+    if (await isDirectory(this.config.schemaFilepath)) {
+      const content = JSON.stringify({
+        exports: {
+          [`${schemaPath}/*`]: `${schemaPath}/*`,
+          './config': './config.js'
+        },
+        type: 'module'
+      })
+
+      await this.writeFile(this.config.databaseConfigJsonFilepath, content)
+      return
+    }
+
+    const content = JSON.stringify({
+      main: schemaPath,
+      exports: {
+        '.': schemaPath,
+        './config': './config.js'
+      },
+      type: 'module'
+    })
+
+    await this.writeFile(this.config.databaseConfigJsonFilepath, content)
+  }
+
+  async createGeneratedPackageJsonFile() {
+    if (this.config.generatedModuleType === 'module') {
+      const entry = (types, filepath) => ({
+        types,
+        import: filepath,
+        require: filepath.replace(/\.js$/, '.cjs')
+      })
+
+      const content = JSON.stringify({
+        main: './database/index.cjs',
+        types: './database/index.d.ts',
+        exports: {
+          '.': entry('./database/index.d.ts', './database/index.js'),
+          './db.json': './database/db.json',
+          './messages': entry(
+            './database/messages.d.ts',
+            './database/messages.js'
+          ),
+          './schemas': entry('./schemas/index.d.ts', './schemas/index.js'),
+          './schema.json': './schemas/schema.json',
+          './open': entry('./open.d.ts', './open.js')
+        },
+        type: 'module'
+      })
+
+      await this.writeFile(this.config.generatedPackageJsonFilepath, content)
+      return
+    }
+
+    const content = JSON.stringify({
+      main: './database/index.js',
+      types: './database/index.d.ts',
+      exports: {
+        '.': {
+          types: './database/index.d.ts',
+          default: './database/index.js'
+        },
+        './db.json': './database/db.json',
+        './messages': {
+          types: './database/messages.d.ts',
+          default: './database/messages.js'
+        },
+        './schemas': {
+          types: './schemas/index.d.ts',
+          default: './schemas/index.js'
+        },
+        './schema.json': './schemas/schema.json',
+        './open': {
+          types: './open.d.ts',
+          default: './open.js'
+        }
+      },
+      type: 'commonjs'
+    })
+
+    await this.writeFile(this.config.generatedPackageJsonFilepath, content)
+  }
+
+  async createTypeDefinitionFiles({ schema: schemaJson, database: dbJson }) {
+    const schemasImportPath = getImportPath(
+      this.config.hyperdbDirectory,
+      path.join(this.config.hyperschemaDirectory, 'index.js')
+    )
+
+    const options = { moduleType: this.config.generatedModuleType }
+
+    await this.writeFile(
+      path.join(this.config.hyperschemaDirectory, 'index.d.ts'),
+      generateSchemaTypes(schemaJson, options)
+    )
+    await this.writeFile(
+      path.join(this.config.hyperdbDirectory, 'index.d.ts'),
+      generateDatabaseTypes(schemaJson, dbJson, schemasImportPath, options)
+    )
+    await this.writeFile(
+      path.join(this.config.hyperdbDirectory, 'messages.d.ts'),
+      generateMessagesTypes(schemasImportPath, options)
+    )
+  }
+
+  // Writes open.js, which opens the database with the storage, backend and
+  // name of the config, with a .cjs copy when the generated package is ESM
+  async createOpenFile() {
+    const { generatedModuleType: moduleType, generatedCodeDirectory } =
+      this.config
+    const defaults = {
+      backend: this.config.backend,
+      storage: this.config.storage,
+      name: this.config.coreName
+    }
+
+    await this.writeFile(
+      path.join(generatedCodeDirectory, 'open.js'),
+      generateOpenCode({ ...defaults, moduleType })
+    )
+    if (moduleType === 'module') {
+      await this.writeFile(
+        path.join(generatedCodeDirectory, 'open.cjs'),
+        generateOpenCode({
+          ...defaults,
+          definitionsPath: './database/index.cjs'
+        })
+      )
+    }
+    await this.writeFile(
+      path.join(generatedCodeDirectory, 'open.d.ts'),
+      generateOpenTypes({ moduleType })
+    )
+  }
+
+  async createExampleIndexFile(indexFilepath) {
+    const definitionsFilepath = path.join(
+      this.config.hyperdbDirectory,
+      'index.js'
+    )
+    const projectDirectory = path.dirname(this.config.databaseConfigDirectory)
+    const relativePath = path.relative(projectDirectory, definitionsFilepath)
+    const content = this.template.exampleIndexFileTemplate({
+      ...this.getTemplateVariables(),
+      relativePath,
+      definitionsPath: relativePath,
+      openPath: path.relative(
+        projectDirectory,
+        path.join(this.config.generatedCodeDirectory, 'open.js')
+      )
+    })
+    await this.writeFile(indexFilepath, content)
+  }
+
+  // Template functions get these, and template directories can use them like {{moduleType}}
+  getTemplateVariables() {
+    const variables = {
+      moduleType: this.config.moduleType,
+      backend: this.config.backend,
+      schemaFilepath: getImportPath(
+        this.config.databaseConfigDirectory,
+        this.config.schemaFilepath
+      )
+    }
+    if (this.config.namespace) {
+      variables.namespace = this.config.namespace
+    }
+    return variables
+  }
+
+  // The rocks backend keeps its data in RocksDB, which hyperdb depends on itself
+  getRequiredDependencies() {
+    return this.config.backend === 'rocks'
+      ? this.requiredDependencies.filter((name) => name !== 'corestore')
+      : this.requiredDependencies
+  }
+
+  checkPackageDependencies() {
+    if (!this.config.package) {
+      return this.getRequiredDependencies()
+    }
+
+    const { dependencies = {}, devDependencies = {} } = this.config.package
+
+    const toInstall = []
+    for (const dependency of this.getRequiredDependencies()) {
+      if (!dependencies[dependency] && !devDependencies[dependency]) {
+        toInstall.push(dependency)
+      }
+    }
+
+    return toInstall
+  }
+
+  async getSchemaDefinitions(schemaFilepath) {
+    const sources = await this.getSchemaSources(schemaFilepath)
+    if (sources.length === 1) {
+      return loadSchemaModule(sources[0].filepath)
+    }
+
+    const modules = []
+    for (const source of sources) {
+      const module = await loadSchemaModule(source.filepath)
+      if (source.package && typeof module.createSchema !== 'function') {
+        throw new Error(
+          `Error: Schema package ${source.package} must export createSchema, or be a JSON or YAML schema`
+        )
+      }
+
+      modules.push({
+        name: source.name,
+        // Packages only share their structs, the project builds its own database
+        module: source.package ? { createSchema: module.createSchema } : module
+      })
+    }
+    return composeSchemaModules(modules)
+  }
+
+  // Files the schema is loaded from, in order: the schemaPackages, then the
+  // schema file or every file of the schema directory by filename
+  async getSchemaSources(schemaFilepath) {
+    const sources = []
+
+    for (const specifier of this.config.schemaPackages || []) {
+      sources.push({
+        name: `package ${specifier}`,
+        package: specifier,
+        filepath: resolveProjectModule(specifier, this.config.projectDirectory)
+      })
+    }
+
+    if (!(await isDirectory(schemaFilepath))) {
+      sources.push({
+        name: path.relative(process.cwd(), schemaFilepath),
+        filepath: schemaFilepath
+      })
+      return sources
+    }
+
+    const filenames = (await fs.readdir(schemaFilepath))
+      .filter((filename) =>
+        schemaDirectoryExtensions.includes(path.extname(filename).toLowerCase())
+      )
+      .sort()
+    if (!filenames.length) {
+      throw new Error(dedent`
+        Error: No schema files found in ${schemaFilepath}
+        Add a file for each namespace, exporting createSchema and createDatabase
+      `)
+    }
+
+    for (const filename of filenames) {
+      const filepath = path.join(schemaFilepath, filename)
+      sources.push({ name: path.relative(process.cwd(), filepath), filepath })
+    }
+    return sources
+  }
+
+  async getFunctions(functionsFilepath) {
+    if (!(await exists(functionsFilepath))) {
+      return {}
+    }
+
+    const module = await importFresh(functionsFilepath)
+    return { ...module }
+  }
+
+  /**
+   * Writes every record of one or all collections to an NDJSON file
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @param {string} [options.out] - File to write to (default: standard output)
+   * @param {string} [options.collection] - Only export this collection
+   * @param {string} [options.storage] - Corestore storage directory (default: ./.corestore)
+   * @param {string} [options.name] - Name of the core in the Corestore (default: db)
+   * @throws {Error} If the database has not been built
+   * @throws {Error} If the collection does not exist
+   * @throws {Error} If the out file cannot be written
+   * @returns {Promise<{ collections: Object }>} Number of records exported per collection
+   * @description The first line is a header recording the schema version and a hash of db.json
+   * @example
+   * const helper = new HyperdbHelper();
+   * await helper.exportData('./mydb', { out: './backup.ndjson' });
+   */
+  async exportData(filepath, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
+
+    const { schema, database } = await this.getBuiltDefinitions()
+    const dbJsonSource = await fs.readFile(
+      path.join(this.config.hyperdbDirectory, 'db.json'),
+      'utf8'
+    )
+
+    // Opened first, so a database that fails to open leaves no empty file behind
+    const { db, close } = await this.openDatabase()
+    let stream = process.stdout
+
+    try {
+      if (options.out) {
+        stream = await openOutputStream(options.out)
+      }
+
+      const collections = await exportRecords(db, database, {
+        header: createBackupHeader(schema, dbJsonSource),
+        stream,
+        collection: options.collection
+      })
+
+      if (stream !== process.stdout) {
+        stream.end()
+        await finished(stream)
+      }
+      return { collections }
+    } catch (error) {
+      if (stream !== process.stdout) stream.destroy()
+      if (!options.out || !error.syscall) throw error
+      throw new Error(`Error: Cannot write ${options.out}: ${error.message}`)
+    } finally {
+      await close()
+    }
+  }
+
+  /**
+   * Loads records from an NDJSON export into a local Corestore
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @param {string} options.file - NDJSON file written by exportData
+   * @param {string} [options.onConflict] - What to do when a record's key already exists: fail, skip or overwrite (default: fail)
+   * @param {string} [options.storage] - Corestore storage directory (default: ./.corestore)
+   * @param {string} [options.name] - Name of the core in the Corestore (default: db)
+   * @throws {Error} If the database has not been built
+   * @throws {Error} If the file does not exist
+   * @throws {Error} If a key already exists and onConflict is fail
+   * @returns {Promise<{ collections: Object, errors: Object[], warnings: string[] }>}
+   * @description All records are inserted in a single transaction, and nothing is
+   * inserted if any record fails validation or conflicts with an existing key
+   * @example
+   * const helper = new HyperdbHelper();
+   * await helper.importData('./mydb', {
+   *   file: './backup.ndjson',
+   *   onConflict: 'skip'
+   * });
+   */
+  async importData(filepath, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
+
+    const onConflict = options.onConflict || 'fail'
+    if (!conflictStrategies.includes(onConflict)) {
+      throw new Error(
+        `Error: Unknown conflict strategy ${onConflict}, expected one of ${conflictStrategies.join(', ')}`
+      )
+    }
+
+    if (!options.file) {
+      throw new Error('Error: No file given to import')
+    }
+
+    const { schema, database } = await this.getBuiltDefinitions()
+    const dbJsonSource = await fs.readFile(
+      path.join(this.config.hyperdbDirectory, 'db.json'),
+      'utf8'
+    )
+
+    if (!(await exists(options.file))) {
+      throw new Error(`Error: Import file not found at ${options.file}`)
+    }
+
+    const warnings = []
+    const header = await readBackupHeader(options.file)
+    if (!header) {
+      warnings.push(`${options.file} has no export header`)
+    } else if (header.dbHash !== hashDatabaseJson(dbJsonSource)) {
+      warnings.push(
+        `${options.file} was exported from different database definitions (schema version ${header.schemaVersion}), records are checked against the current ones`
+      )
+    }
+
+    const { entries, collections, errors } = validateFixtures(
+      await readFixtures(options.file),
+      schema,
+      database
+    )
+
+    for (const counts of Object.values(collections)) {
+      counts.inserted = 0
+      counts.skipped = 0
+    }
+
+    if (errors.length) {
+      return { collections, errors, warnings }
+    }
+
+    const { db, close } = await this.openDatabase()
+
+    try {
+      const tx = db.transaction()
+      for (const { collection, record, location } of entries) {
+        if (onConflict !== 'overwrite' && (await tx.get(collection, record))) {
+          if (onConflict === 'fail') {
+            await tx.close()
+            throw new Error(
+              `Error: ${location} conflicts with an existing record, nothing was imported`
+            )
+          }
+          collections[collection].skipped++
+          continue
+        }
+
+        await tx.insert(collection, record)
+        collections[collection].inserted++
+      }
+      await tx.flush()
+    } finally {
+      await close()
+    }
+
+    return { collections, errors, warnings }
+  }
+
+  /**
+   * Copies the records of a database built with older generated definitions
+   * into a new core using the current ones, running pending migrations on the way
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @param {string} options.source - Generated code directory of the old definitions
+   * @param {string} options.to - Name of the new core to write to
+   * @param {boolean} [options.dryRun] - Report what the migrations would do without writing
+   * @param {string} [options.storage] - Corestore storage directory (default: ./.corestore)
+   * @param {string} [options.name] - Name of the core to read from (default: db)
+   * @throws {Error} If the database has not been built or the old definitions are missing
+   * @throws {Error} If the new core already has data
+   * @returns {Promise<Object>} Report with the migration versions, per-migration and per-collection counts, and validation errors
+   * @description Migrations live in the migrations directory next to the schema file,
+   * named by version like 001-add-bio.js. The version of the last applied
+   * migration is recorded in the new core, so later runs skip it.
+   * @example
+   * const helper = new HyperdbHelper();
+   * const report = await helper.migrate('./mydb', {
+   *   source: './mydb/generated-v1',
+   *   to: 'db-v2',
+   *   dryRun: true
+   * });
+   */
+  async migrate(filepath, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
+
+    const { schema, database } = await this.getBuiltDefinitions()
+
+    if (!options.source) {
+      throw new Error('Error: No source definitions given to migrate from')
+    }
+    if (!options.to || options.to === this.config.coreName) {
+      throw new Error('Error: Migrations must write to a new core')
+    }
+
+    const sourceHyperdbDirectory = path.join(
+      path.resolve(options.source),
+      'database'
+    )
+    const sourceDbJson = await getJsonFile(
+      path.join(sourceHyperdbDirectory, 'db.json')
+    )
+    if (!sourceDbJson) {
+      throw new Error(
+        `Error: Generated database not found at ${path.resolve(options.source)}`
+      )
+    }
+    const missingRequires = await findMissingRequires(sourceHyperdbDirectory)
+    if (missingRequires.length) {
+      throw new Error(dedent`
+        Error: The generated code at ${path.resolve(options.source)} requires ${missingRequires.join(', ')}, which cannot be found from there
+        Move it into the database directory next to the generated code, like database/generated-v1
+      `)
+    }
+
+    // The migration version is kept in the user data of the new core
+    if (this.config.backend !== 'bee') {
+      throw new Error(
+        `Error: Migrations need the bee backend, ${this.config.coreName} uses ${this.config.backend}`
+      )
+    }
+
+    const migrations = await loadMigrations(this.config.migrationsDirectory)
+    const dryRun = !!options.dryRun
+
+    const store = await openStore({ storage: this.config.storage })
+    let source = null
+    let target = null
+
+    try {
+      source = await openDatabase({
+        hyperdbDirectory: sourceHyperdbDirectory,
+        store,
+        name: this.config.coreName
+      })
+      target = await openDatabase({
+        hyperdbDirectory: this.config.hyperdbDirectory,
+        store,
+        name: options.to
+      })
+
+      if (!dryRun && target.db.core.length > 0) {
+        throw new Error(`Error: Core ${options.to} already has data`)
+      }
+
+      const from = await getMigrationVersion(source.db)
+      const pending = migrations.filter(({ version }) => version > from)
+      const to = pending.length ? pending[pending.length - 1].version : from
+
+      const report = await migrateRecords({
+        source: source.db,
+        sourceDbJson,
+        target: target.db,
+        schemaJson: schema,
+        dbJson: database,
+        migrations: pending,
+        dryRun
+      })
+
+      if (!dryRun && !report.errors.length) {
+        await setMigrationVersion(target.db, to)
+      }
+
+      return { from, to, dryRun, ...report }
+    } finally {
+      if (source) await source.close()
+      if (target) await target.close()
+      await store.close()
+    }
+  }
+
+  /**
+   * Starts an interactive REPL with the built database opened as `db`
+   * @async
+   * @param {string} filepath - Path to the database directory
+   * @param {Object} options - Configuration options
+   * @param {string} [options.storage] - Corestore storage directory (default: ./.corestore)
+   * @param {string} [options.name] - Name of the core in the Corestore (default: db)
+   * @throws {Error} If the database has not been built
+   * @returns {Promise<Object>} The REPL server, the database is closed when it exits
+   * @example
+   * const helper = new HyperdbHelper();
+   * const server = await helper.repl('./mydb');
+   * server.on('exit', () => console.log('Bye'));
+   */
+  async repl(filepath, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
+
+    const { database } = await this.getBuiltDefinitions()
+    const { db, definitions, close } = await this.openDatabase()
+
+    const server = startRepl({
+      db,
+      definitions,
+      dbJson: database,
+      input: options.input,
+      output: options.output,
+      close
+    })
+
+    return server
+  }
+
+  /**
+   * Reads records from a collection or index of a local Corestore
+   * @async
+   * @generator
+   * @param {string} filepath - Path to the database directory
+   * @param {string} name - Collection or index to read, like @example/by_type
+   * @param {Object} options - Configuration options
+   * @param {*} [options.get] - Get the record with this key instead of running a range query
+   * @param {*} [options.gt] - Lower bound, exclusive
+   * @param {*} [options.gte] - Lower bound, inclusive
+   * @param {*} [options.lt] - Upper bound, exclusive
+   * @param {*} [options.lte] - Upper bound, inclusive
+   * @param {boolean} [options.reverse] - Return the records in reverse order
+   * @param {number} [options.limit] - Maximum number of records
+   * @param {string} [options.storage] - Corestore storage directory (default: ./.corestore)
+   * @param {string} [options.name] - Name of the core in the Corestore (default: db)
+   * @throws {Error} If the database has not been built
+   * @throws {Error} If the name is unknown or the keys do not match its key fields
+   * @yields {Object} The matching records, the database is closed once they are read
+   * @description Keys may be given as JSON strings, as they are on the command line,
+   * or as values. Buffers can be written as hex strings and bigints as strings.
+   * @example
+   * const helper = new HyperdbHelper();
+   * for await (const post of helper.query('./mydb', '@example/by_type', {
+   *   gte: { type: 'tutorial' },
+   *   lte: { type: 'tutorial' }
+   * })) {
+   *   console.log(post.title);
+   * }
+   */
+  async *query(filepath, name, options = {}) {
+    this.config = await this.mergeConfig(filepath, options)
 
-    await fs.writeFile(this.config.functionsFilepath, template)
-  }
+    const { schema, database } = await this.getBuiltDefinitions()
 
-  async createSchemaFile() {
-    const content = this.config.examples
-      ? examples.schemaFileTemplate()
-      : templates.schemaFileTemplate()
+    if (!name) {
+      throw new Error('Error: No collection or index given to query')
+    }
+
+    const target = resolveQueryTarget(database, name)
+    const { get, query } = parseQueryOptions(
+      target,
+      options,
+      getStructs(schema)
+    )
+
+    const { db, close } = await this.openDatabase()
+
+    try {
+      if (query) {
+        yield* db.find(name, query)
+        return
+      }
 
-    await fs.writeFile(this.config.schemaFilepath, content)
+      const record = await db.get(name, get)
+      if (record) yield record
+    } finally {
+      await close()
+    }
   }
 
-  async createDatabaseConfigPackageJsonFile() {
-    const content = JSON.stringify({
-      main: './schema.js',
-      exports: {
-        '.': './schema.js',
-        './config': './config.js'
-      },
-      type: 'module'
+  async openDatabase() {
+    return openDatabase({
+      hyperdbDirectory: this.config.hyperdbDirectory,
+      storage: this.config.storage,
+      name: this.config.coreName,
+      backend: this.config.backend
     })
+  }
 
-    await fs.writeFile(this.config.databaseConfigJsonFilepath, content)
+  async getGeneratedDefinitions() {
+    return {
+      schema: await getJsonFile(
+        path.join(this.config.hyperschemaDirectory, 'schema.json')
+      ),
+      database: await getJsonFile(
+        path.join(this.config.hyperdbDirectory, 'db.json')
+      )
+    }
   }
 
-  async createGeneratedPackageJsonFile() {
-    const content = JSON.stringify({
-      main: './database/index.js',
-      exports: {
-        '.': './database/index.js',
-        './db.json': './database/db.json',
-        './messages': './database/messages.js',
-        './schemas': './schemas/index.js',
-        './schema.json': './schemas/schema.json'
+  async getBuiltDefinitions() {
+    const definitions = await this.getGeneratedDefinitions()
+
+    if (!definitions.schema || !definitions.database) {
+      throw new Error(dedent`
+        Error: Generated database not found at ${this.config.generatedCodeDirectory}
+        Run 'hyperdb-helper build' to build the database first
+      `)
+    }
+
+    return definitions
+  }
+
+  async diffSchema(schemaModule, functions = {}) {
+    const previous = await this.getGeneratedDefinitions()
+
+    return diffDefinitions(
+      previous,
+      this.getProposedDefinitions(schemaModule, functions)
+    )
+  }
+
+  getProposedDefinitions(schemaModule, functions = {}) {
+    // Start from empty builders so the existing definitions on disk are not
+    // merged in, which would hide removed and changed types
+    const hyperschema = Hyperschema.from(null)
+    schemaModule.createSchema(hyperschema)
+    const schema = hyperschema.toJSON()
+
+    const hyperdb = HyperDB.from(schema, null)
+    schemaModule.createDatabase(hyperdb, functions)
+    const database = hyperdb.toJSON()
+
+    return { schema, database }
+  }
+
+  // The references annotations of fields, like { name: 'author', type: 'string', references: '@example/author' }
+  getFieldReferences(schemaModule) {
+    const references = new Map()
+
+    const hyperschema = Hyperschema.from(null)
+    const namespace = hyperschema.namespace.bind(hyperschema)
+    hyperschema.namespace = (name, ...args) => {
+      const schema = namespace(name, ...args)
+      const register = schema.register.bind(schema)
+      schema.register = (description) => {
+        for (const field of description.fields || []) {
+          if (field.references === undefined) continue
+
+          const target =
+            field.references === false || field.references.startsWith('@')
+              ? field.references
+              : `@${name}/${field.references}`
+          references.set(`@${name}/${description.name}.${field.name}`, target)
+        }
+        return register(description)
+      }
+      return schema
+    }
+    schemaModule.createSchema(hyperschema)
+
+    return references
+  }
+
+  async diagnoseDependencies() {
+    const builderVersions = getBuilderVersions()
+    const { dependencies = {}, devDependencies = {} } =
+      this.config.package || {}
+
+    const findings = []
+    for (const name of this.getRequiredDependencies()) {
+      findings.push(
+        ...diagnoseDependency({
+          name,
+          declared: dependencies[name] || devDependencies[name] || null,
+          installed: await getInstalledVersion(
+            name,
+            this.config.projectDirectory
+          ),
+          builderVersion: builderVersions[name]
+        })
+      )
+    }
+    return findings
+  }
+
+  async diagnoseConfigExports() {
+    const { filepath, ignored } = await findConfigFile(
+      this.config.databaseConfigDirectory
+    )
+    if (!filepath) return []
+
+    const configFilename = path.relative(process.cwd(), filepath)
+    const findings = ignored.map((ignoredFilepath) => ({
+      check: 'config-exports',
+      severity: 'warn',
+      message: `${path.relative(process.cwd(), ignoredFilepath)} is ignored because ${configFilename} is loaded instead`,
+      suggestion: `Merge it into ${configFilename} and remove it`,
+      fixable: false
+    }))
+
+    const exports = await findIgnoredConfigExports(filepath)
+    if (exports.length) {
+      findings.push({
+        check: 'config-exports',
+        severity: 'error',
+        message: `${configFilename} exports ${exports.join(', ')}, which ${exports.length === 1 ? 'is' : 'are'} ignored`,
+        suggestion: `Move ${exports.length === 1 ? 'it' : 'them'} into the config object it exports as config or default`,
+        fixable: false
+      })
+    }
+
+    return findings
+  }
+
+  async diagnoseFunctionsExports() {
+    const schemaDefinitions = await this.getSchemaDefinitions(
+      this.config.schemaFilepath
+    )
+    const functions = await this.getFunctions(this.config.functionsFilepath)
+    const { collections, indexes, helpers } = this.recordSchema(
+      schemaDefinitions,
+      functions
+    )
+
+    // Namespaces that require their own helpers file get their functions there
+    const usesFunctionsFile = ({ namespace }) => !helpers.has(namespace)
+    const missing = findMissingFunctions(
+      {
+        collections: collections.filter(usesFunctionsFile),
+        indexes: indexes.filter(usesFunctionsFile)
       },
-      type: 'commonjs'
-    })
+      functions
+    )
 
-    await fs.writeFile(this.config.generatedPackageJsonFilepath, content)
+    const functionsFilename = path.relative(
+      process.cwd(),
+      this.config.functionsFilepath
+    )
+    return missing.map(({ name, usedBy }) => ({
+      check: 'functions-exports',
+      severity: 'error',
+      message: `${usedBy} uses ${name}, which ${functionsFilename} does not export`,
+      suggestion: `Add 'export function ${name} (...) {}' to ${functionsFilename}`,
+      fixable: false
+    }))
   }
 
-  async createExampleIndexFile(indexFilepath) {
-    const definitionsFilepath = path.join(
-      this.config.hyperdbDirectory,
-      'index.js'
+  async diagnoseModuleType() {
+    const generatedPackageJson = await getJsonFile(
+      this.config.generatedPackageJsonFilepath
     )
-    const projectDirectory = path.dirname(this.config.databaseConfigDirectory)
-    const relativePath = path.relative(projectDirectory, definitionsFilepath)
-    console.log('this.config.moduleType', this.config.moduleType)
-    const content = examples.exampleIndexFileTemplate({
-      relativePath,
-      moduleType: this.config.moduleType
+    const type = generatedPackageJson?.type || 'commonjs'
+    if (!generatedPackageJson || type === this.config.generatedModuleType) {
+      return []
+    }
+
+    const expected = this.config.sources.generatedModuleType
+      ? `generatedModuleType is ${this.config.generatedModuleType}`
+      : `the project is ${this.config.generatedModuleType}`
+    return [
+      {
+        check: 'module-type',
+        severity: 'error',
+        message: `The generated package is ${type}, but ${expected}`,
+        suggestion: "Run 'hyperdb-helper build' to regenerate it",
+        fixable: true
+      }
+    ]
+  }
+
+  async diagnoseGeneratedCode(filepath, options) {
+    if (
+      !(await exists(
+        path.join(this.config.hyperschemaDirectory, 'schema.json')
+      ))
+    ) {
+      return [
+        {
+          check: 'stale-generated',
+          severity: 'error',
+          message: `${path.relative(process.cwd(), this.config.generatedCodeDirectory)} has not been built`,
+          suggestion: "Run 'hyperdb-helper build'",
+          fixable: true
+        }
+      ]
+    }
+
+    // Checked with a helper of its own, so its warnings are not printed twice
+    const helper = new HyperdbHelper({
+      logger: createLogger({ level: 'silent' })
     })
-    await fs.writeFile(indexFilepath, content)
+    let report
+    try {
+      report = await helper.build(filepath, { ...options, check: true })
+    } catch (error) {
+      return [
+        {
+          check: 'stale-generated',
+          severity: 'error',
+          message: `The schema does not build: ${error.message.split('\n')[0].replace(/^Error: |:$/g, '')}`,
+          suggestion: "Run 'hyperdb-helper build' to see why",
+          fixable: false
+        }
+      ]
+    }
+
+    if (report.upToDate) return []
+    return [
+      {
+        check: 'stale-generated',
+        severity: 'warn',
+        message: `${report.changes.length} generated files are out of date with ${path.relative(process.cwd(), this.config.schemaFilepath)}`,
+        suggestion: "Run 'hyperdb-helper build'",
+        fixable: true
+      }
+    ]
   }
 
-  checkPackageDependencies() {
+  diagnoseBuildScript() {
     if (!this.config.package) {
-      return this.requiredDependencies
+      return [
+        {
+          check: 'build-script',
+          severity: 'warn',
+          message: 'No package.json found',
+          suggestion:
+            "Run 'npm init', then add a script running 'hyperdb-helper build'",
+          fixable: false
+        }
+      ]
     }
 
-    const dependencies = this.config.package.dependencies || {}
+    if (findBuildScript(this.config.package.scripts)) return []
 
-    const toInstall = []
-    for (const dependency of this.requiredDependencies) {
-      if (!dependencies[dependency]) {
-        toInstall.push(dependency)
+    const name = this.getBuildScriptName()
+    return [
+      {
+        check: 'build-script',
+        severity: 'warn',
+        message: "package.json has no script running 'hyperdb-helper build'",
+        suggestion: `Add "${name}": "${this.getBuildScriptCommand()}" to its scripts`,
+        fixable: name !== null
       }
+    ]
+  }
+
+  // Named schema like the README suggests, unless that name is taken
+  getBuildScriptName() {
+    const scripts = this.config.package.scripts || {}
+    return ['schema', 'build:schema'].find((name) => !scripts[name]) || null
+  }
+
+  getBuildScriptCommand() {
+    const directory = path.relative(
+      this.config.projectDirectory,
+      this.config.databaseConfigDirectory
+    )
+    return directory === 'database'
+      ? 'hyperdb-helper build'
+      : `hyperdb-helper build ${directory.replaceAll('\\', '/')}`
+  }
+
+  // Rewrites package.json in place, keeping its indentation
+  async addBuildScript() {
+    const packageJsonFilepath = path.join(
+      this.config.projectDirectory,
+      'package.json'
+    )
+    const content = await fs.readFile(packageJsonFilepath, 'utf8')
+    const indent = content.match(/^([ \t]+)"/m)?.[1] || 2
+
+    const packageJson = JSON.parse(content)
+    packageJson.scripts = {
+      ...packageJson.scripts,
+      [this.getBuildScriptName()]: this.getBuildScriptCommand()
     }
 
-    return toInstall
+    await fs.writeFile(
+      packageJsonFilepath,
+      JSON.stringify(packageJson, null, indent) + '\n'
+    )
+    this.logger.debug(
+      `Wrote ${path.relative(process.cwd(), packageJsonFilepath)}`
+    )
   }
 
-  async getSchemaDefinitions(schemaFilepath) {
-    const module = await import(schemaFilepath)
-    return { ...module }
+  lintSchema(schemaModule, functions = {}) {
+    return lintDefinitions(this.recordSchema(schemaModule, functions), {
+      rules: this.config.lint?.rules
+    })
+  }
+
+  // Records what createDatabase registers instead of handing it to the
+  // hyperdb builder, which throws on the first key it cannot resolve
+  recordSchema(schemaModule, functions = {}) {
+    const hyperschema = Hyperschema.from(null)
+    schemaModule.createSchema(hyperschema)
+
+    const collections = []
+    const indexes = []
+    const helpers = new Set()
+    const recorder = {
+      namespace(namespace) {
+        return {
+          name: namespace,
+          collections: {
+            register: (description) =>
+              collections.push({ ...description, namespace })
+          },
+          indexes: {
+            register: (description) =>
+              indexes.push({ ...description, namespace })
+          },
+          require() {
+            helpers.add(namespace)
+          }
+        }
+      }
+    }
+    schemaModule.createDatabase(recorder, functions)
+
+    return { schema: hyperschema.toJSON(), collections, indexes, helpers }
   }
 
-  async buildSchema(schemaModule) {
+  async buildSchema(schemaModule, functions = {}) {
     const hyperschema = Hyperschema.from(this.config.hyperschemaDirectory)
     schemaModule.createSchema(hyperschema)
-    Hyperschema.toDisk(hyperschema)
 
+    // The database is built from the schema in memory so nothing is written
+    // until the functions have been checked
     const hyperdb = HyperDB.from(
-      this.config.hyperschemaDirectory,
+      hyperschema.toJSON(),
       this.config.hyperdbDirectory
     )
-    schemaModule.createDatabase(hyperdb)
-    HyperDB.toDisk(hyperdb)
+    schemaModule.createDatabase(hyperdb, functions)
+    registerFunctions(hyperdb, functions, this.config.functionsFilepath)
+
+    // Same files as Hyperschema.toDisk and HyperDB.toDisk, written one by
+    // one so each of them ends up in the report
+    const { hyperschemaDirectory, hyperdbDirectory } = this.config
+    const schemaJson = JSON.stringify(hyperschema.toJSON(), null, 2)
+    const dbJson = JSON.stringify(hyperdb.toJSON(), null, 2)
+
+    await this.writeFile(
+      path.join(hyperschemaDirectory, 'schema.json'),
+      schemaJson
+    )
+    await this.writeCodeFile(
+      path.join(hyperschemaDirectory, 'index.js'),
+      hyperschema.toCode()
+    )
+    await this.runPlugins('afterSchema', JSON.parse(schemaJson))
+    await this.writeCodeFile(
+      path.join(hyperdbDirectory, 'messages.js'),
+      hyperdb.schema.toCode()
+    )
+    await this.writeFile(path.join(hyperdbDirectory, 'db.json'), dbJson)
+    await this.writeCodeFile(
+      path.join(hyperdbDirectory, 'index.js'),
+      generateDatabaseCode(hyperdb, { directory: hyperdbDirectory })
+    )
+    await this.runPlugins('afterDatabase', JSON.parse(dbJson))
+
+    // As they would be read back from disk
+    return { schema: JSON.parse(schemaJson), database: JSON.parse(dbJson) }
+  }
+
+  // Writes generated CommonJS code as is, or as an ES module next to a .cjs
+  // copy when the generated package is ESM
+  async writeCodeFile(filepath, code) {
+    if (this.config.generatedModuleType !== 'module') {
+      await this.writeFile(filepath, code)
+      return
+    }
+
+    await this.writeFile(filepath, convertToEsm(code))
+    await this.writeFile(
+      filepath.replace(/\.js$/, '.cjs'),
+      renameCommonJsRequires(code, ['index.js', 'messages.js'])
+    )
+  }
+
+  // Writes a file and records it in the report of the current init or build.
+  // Files that already have the same contents are left alone, so their
+  // modification time only changes when they do.
+  async writeFile(filepath, content) {
+    const target = this.checkDirectory
+      ? path.join(this.checkDirectory, String(this.checkFiles.length))
+      : filepath
+    this.checkFiles?.push({ filepath, target })
+
+    const file = {
+      path: path.relative(process.cwd(), filepath),
+      hash: hashContent(content),
+      written: true
+    }
+
+    if (!this.checkDirectory && (await hasContent(filepath, content))) {
+      file.written = false
+      this.logger.debug(`Unchanged ${file.path} ${file.hash.slice(0, 12)}`)
+    } else {
+      await fs.mkdir(path.dirname(target), { recursive: true })
+      await fs.writeFile(target, content)
+      this.logger.debug(`Wrote ${file.path} ${file.hash.slice(0, 12)}`)
+    }
+
+    this.report?.files.push(file)
+    return file
+  }
+
+  // Calls a hook of every plugin in the order of the plugins config. Hooks
+  // get the payload, if any, and a context to emit files into the generated
+  // code directory with.
+  async runPlugins(hook, payload) {
+    for (const plugin of this.config.plugins || []) {
+      if (!plugin[hook]) continue
+
+      const context = this.createPluginContext(plugin)
+      try {
+        if (hook === 'beforeBuild') {
+          await plugin[hook](context)
+        } else {
+          await plugin[hook](payload, context)
+        }
+      } catch (error) {
+        throw new Error(
+          `Error: Plugin ${plugin.name} failed in ${hook}: ${error.message}`
+        )
+      }
+    }
+  }
+
+  createPluginContext(plugin) {
+    const { generatedCodeDirectory } = this.config
+    const record = this.report.plugins.find(({ name }) => name === plugin.name)
+
+    return {
+      name: plugin.name,
+      config: Object.freeze({ ...this.config }),
+      warn: (message) => this.warn(`${plugin.name}: ${message}`),
+      emitFile: async (filename, content) => {
+        const filepath = path.resolve(generatedCodeDirectory, filename)
+        const relativePath = path.relative(generatedCodeDirectory, filepath)
+        if (
+          !relativePath ||
+          relativePath.startsWith('..') ||
+          path.isAbsolute(relativePath)
+        ) {
+          throw new Error(
+            `${filename} is outside of the generated code directory`
+          )
+        }
+        if (
+          this.report.files.some((file) => path.resolve(file.path) === filepath)
+        ) {
+          throw new Error(`${filename} is already written by this build`)
+        }
+
+        const file = await this.writeFile(filepath, content)
+        file.plugin = plugin.name
+        record.files.push(file.path)
+        return file.path
+      }
+    }
+  }
+
+  // Hashes the schema and functions files with the local files they import,
+  // the resolved config and the versions of the code generators, everything
+  // the generated code depends on
+  async getBuildInputsHash() {
+    const config = { moduleType: this.config.moduleType }
+    for (const key of Object.keys(configSchema)) {
+      config[key] = this.config[key]
+    }
+    // Hooks are functions, which JSON leaves out, so plugins are hashed by their source
+    config.plugins = describePlugins(this.config.plugins || [])
+
+    const schema = []
+    for (const source of await this.getSchemaSources(
+      this.config.schemaFilepath
+    )) {
+      schema.push(
+        source.package
+          ? await hashPackageFiles(source.filepath)
+          : await hashSourceFiles(source.filepath)
+      )
+    }
+
+    return hashBuildInputs({
+      schema,
+      functions: await hashSourceFiles(this.config.functionsFilepath),
+      config
+    })
+  }
+
+  // Names of the structs, collections and indexes a build generated
+  summarizeBuild(definitions) {
+    const { namespaces } = summarizeDefinitions(
+      definitions.schema,
+      definitions.database
+    )
+
+    return {
+      generatedCodeDirectory: path.relative(
+        process.cwd(),
+        this.config.generatedCodeDirectory
+      ),
+      schemaVersion: definitions.schema.version,
+      namespaces: namespaces.map((namespace) => ({
+        name: namespace.name,
+        structs: namespace.structs.map((struct) => struct.name),
+        collections: namespace.collections.map((collection) => collection.name),
+        indexes: namespace.indexes.map((index) => index.name)
+      }))
+    }
+  }
+
+  // Report of a build skipped because nothing changed, from the last build's manifest
+  async getUpToDateBuildReport(manifest) {
+    this.report.files = Object.entries(manifest.files).map(
+      ([filepath, hash]) => ({
+        path: path.relative(
+          process.cwd(),
+          path.resolve(this.config.generatedCodeDirectory, filepath)
+        ),
+        hash,
+        written: false
+      })
+    )
+    this.report.plugins = (this.config.plugins || []).map((plugin) => ({
+      name: plugin.name,
+      files: (manifest.plugins?.[plugin.name] || []).map((filepath) =>
+        path.relative(
+          process.cwd(),
+          path.resolve(this.config.generatedCodeDirectory, filepath)
+        )
+      )
+    }))
+
+    return {
+      ...this.summarizeBuild(await this.getGeneratedDefinitions()),
+      ...this.report,
+      upToDate: true
+    }
+  }
+
+  // Compares the files a check build wrote to the temporary directory with the real ones
+  async getCheckChanges() {
+    const changes = []
+
+    for (const { filepath, target } of this.checkFiles) {
+      const relativePath = path.relative(process.cwd(), filepath)
+      const expected = await fs.readFile(target, 'utf8')
+      let actual = null
+      try {
+        actual = await fs.readFile(filepath, 'utf8')
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+      }
+
+      if (actual === expected) continue
+      changes.push({
+        path: relativePath,
+        status: actual === null ? 'missing' : 'changed',
+        diff: createUnifiedDiff(relativePath, actual, expected)
+      })
+    }
+
+    for (const filepath of await this.findStaleFiles(
+      this.checkFiles.map((file) => file.filepath)
+    )) {
+      const relativePath = path.relative(process.cwd(), filepath)
+      changes.push({
+        path: relativePath,
+        status: 'stale',
+        diff: createUnifiedDiff(
+          relativePath,
+          await fs.readFile(filepath, 'utf8'),
+          null
+        )
+      })
+    }
+
+    return changes
+  }
+
+  // Files in the generated code directory the build did not write, like the
+  // ES module copies after switching to CommonJS or the files of a removed
+  // plugin. A generated code directory holding the database directory is
+  // left alone, since everything in it would look stale.
+  async findStaleFiles(writtenFilepaths) {
+    const { generatedCodeDirectory, databaseConfigDirectory } = this.config
+    if (
+      isWithinDirectory(generatedCodeDirectory, databaseConfigDirectory) ||
+      !(await isDirectory(generatedCodeDirectory))
+    ) {
+      return []
+    }
+
+    const written = new Set(writtenFilepaths)
+    const stale = []
+    const visit = async (directory) => {
+      for (const entry of await fs.readdir(directory, {
+        withFileTypes: true
+      })) {
+        const filepath = path.join(directory, entry.name)
+        if (entry.isDirectory()) {
+          await visit(filepath)
+        } else if (
+          !written.has(filepath) &&
+          filepath !== path.join(generatedCodeDirectory, manifestFilename)
+        ) {
+          stale.push(filepath)
+        }
+      }
+    }
+    await visit(generatedCodeDirectory)
+
+    return stale
+  }
+
+  warn(message) {
+    this.report?.warnings.push(message)
+    this.logger.warn(message)
   }
 }
 
@@ -403,6 +2484,37 @@ function getDatabaseConfigDirectory(databaseFilepathArgument = './database') {
   return path.join(process.cwd(), databaseFilepathArgument)
 }
 
+async function getDefaultSchemaFilepath(databaseConfigDirectory, format) {
+  if (format) {
+    return `./schema.${format}`
+  }
+
+  for (const filename of [
+    'schema.js',
+    'schema.json',
+    'schema.yaml',
+    'schema.yml'
+  ]) {
+    if (await exists(path.join(databaseConfigDirectory, filename))) {
+      return `./${filename}`
+    }
+  }
+
+  // A directory with a schema file for each namespace
+  if (await isDirectory(path.join(databaseConfigDirectory, 'schemas'))) {
+    return './schemas'
+  }
+
+  return './schema.js'
+}
+
+function getSchemaFormat(schemaFilepath) {
+  const extension = path.extname(schemaFilepath).toLowerCase()
+  if (extension === '.json') return 'json'
+  if (extension === '.yaml' || extension === '.yml') return 'yaml'
+  return 'js'
+}
+
 function getFilepathFromConfig(config, configProperty, defaultFilepath) {
   const filepath = config[configProperty] || defaultFilepath
   if (path.isAbsolute(filepath)) {
@@ -422,7 +2534,120 @@ async function getPackageJson(dir = process.cwd()) {
   return JSON.parse(file)
 }
 
-async function getConfig(configFilepath) {
-  const module = await import(configFilepath)
-  return { ...module.default }
+async function isDirectory(filepath) {
+  try {
+    return (await fs.stat(filepath)).isDirectory()
+  } catch (error) {
+    if (error.code === 'ENOENT') return false
+    throw error
+  }
+}
+
+async function loadSchemaModule(filepath) {
+  if (isDeclarativeSchemaFilepath(filepath)) {
+    return loadDeclarativeSchema(filepath)
+  }
+
+  const module = await importFresh(filepath)
+  return { ...module }
+}
+
+async function getJsonFile(filepath) {
+  if (!(await exists(filepath))) {
+    return
+  }
+
+  const file = await fs.readFile(filepath, 'utf8')
+  return JSON.parse(file)
+}
+
+// Where unset config values come from, for resolveConfig
+const defaultConfigSources = {
+  schemaFilepath: 'detected',
+  generatedModuleType: 'moduleType'
+}
+
+// Options that override the config files, like the --out, --schema and
+// --functions flags. Paths are relative to the working directory.
+function getConfigOptions(options) {
+  const resolvePath = (filepath) => filepath && path.resolve(filepath)
+
+  return {
+    generatedCodeDirectory: resolvePath(options.generatedCodeDirectory),
+    schemaFilepath: resolvePath(options.schemaFilepath),
+    functionsFilepath: resolvePath(options.functionsFilepath),
+    generatedModuleType: options.generatedModuleType,
+    storage: options.storage,
+    coreName: options.name,
+    backend: options.backend
+  }
+}
+
+// Opens a file for writing before anything is written to it, so a path that
+// cannot be created fails right away. Write errors are read from the stream
+// by exportRecords and finished, the listener only keeps them from crashing
+// the process.
+async function openOutputStream(filepath) {
+  const file = await fs.open(filepath, 'w')
+  const stream = file.createWriteStream()
+  stream.on('error', () => {})
+  return stream
+}
+
+// Builds in a worker thread and resolves with its report. Node never unloads
+// an imported module, so only a worker that exits frees the schema,
+// functions and config modules a build imports.
+function buildInWorker(filepath, options, level = 'warn') {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL('./lib/build-worker.js', import.meta.url),
+      { workerData: { filepath, options, level } }
+    )
+
+    worker.once('message', ({ report, error }) => {
+      worker.terminate()
+      if (error) reject(new Error(error))
+      else resolve(report)
+    })
+    worker.once('error', reject)
+    // Only rejects when the worker exits without reporting back
+    worker.once('exit', (code) => {
+      reject(new Error(`Error: The build exited with code ${code}`))
+    })
+  })
+}
+
+/**
+ * Imports a module while bypassing the ESM import cache, so edits made
+ * since the last import are picked up. Only the module itself is reloaded,
+ * modules it imports are still served from the cache.
+ */
+async function importFresh(filepath) {
+  const url = pathToFileURL(filepath)
+  url.searchParams.set('update', Date.now())
+  return import(url.href)
+}
+
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex')
+}
+
+// Whether a file exists with exactly these contents
+async function hasContent(filepath, content) {
+  try {
+    return (await fs.readFile(filepath)).equals(Buffer.from(content))
+  } catch (error) {
+    if (error.code === 'ENOENT') return false
+    throw error
+  }
+}
+
+function getImportPath(fromDirectory, filepath) {
+  const relative = path.relative(fromDirectory, filepath).replaceAll('\\', '/')
+  return relative.startsWith('.') ? relative : `./${relative}`
+}
+
+function isWithinDirectory(directory, filepath) {
+  const relative = path.relative(directory, filepath)
+  return !relative.startsWith('..') && !path.isAbsolute(relative)
 }
@@ -0,0 +1,98 @@
+import * as fs from 'fs/promises'
+import { once } from 'events'
+import { createHash } from 'crypto'
+
+import { COLLECTION_TYPE, getFullyQualifiedName } from './definitions.js'
+import { stringifyRecord } from './records.js'
+
+export const conflictStrategies = ['fail', 'skip', 'overwrite']
+
+/**
+ * Creates the header line written at the start of an export
+ * @param {Object} schemaJson - Contents of schemas/schema.json
+ * @param {string} dbJsonSource - Unparsed contents of database/db.json
+ * @returns {Object}
+ */
+export function createBackupHeader(schemaJson, dbJsonSource) {
+  return {
+    $header: {
+      schemaVersion: schemaJson.version,
+      dbHash: hashDatabaseJson(dbJsonSource),
+      created: new Date().toISOString()
+    }
+  }
+}
+
+/**
+ * Hashes db.json so an import can tell whether it was exported from the same definitions
+ * @param {string} dbJsonSource - Unparsed contents of database/db.json
+ * @returns {string}
+ */
+export function hashDatabaseJson(dbJsonSource) {
+  return createHash('sha256').update(dbJsonSource).digest('hex')
+}
+
+/**
+ * Reads the header line of an export, if it has one
+ * @param {string} filepath - Path to the NDJSON export
+ * @returns {Promise<Object|null>}
+ */
+export async function readBackupHeader(filepath) {
+  const file = await fs.open(filepath)
+  try {
+    for await (const line of file.readLines()) {
+      if (!line.trim()) continue
+      const parsed = JSON.parse(line)
+      return parsed.$header || null
+    }
+    return null
+  } finally {
+    await file.close()
+  }
+}
+
+/**
+ * Streams every record of the given collections to a writable stream as NDJSON
+ * @param {Object} db - An open HyperDB instance
+ * @param {Object} dbJson - Contents of database/db.json
+ * @param {Object} options
+ * @param {Object} options.header - Header from createBackupHeader()
+ * @param {Object} options.stream - Writable stream the lines are written to
+ * @param {string} [options.collection] - Only export this collection
+ * @returns {Promise<Object>} Number of records exported per collection
+ * @throws {Error} If the collection does not exist
+ */
+export async function exportRecords(
+  db,
+  dbJson,
+  { header, stream, collection }
+) {
+  const collections = dbJson.schema
+    .filter((type) => type.type === COLLECTION_TYPE)
+    .map((type) => getFullyQualifiedName(type))
+
+  if (collection && !collections.includes(collection)) {
+    throw new Error(`Error: Unknown collection ${collection}`)
+  }
+
+  const counts = {}
+  await writeLine(stream, JSON.stringify(header))
+
+  for (const name of collection ? [collection] : collections) {
+    counts[name] = 0
+    for await (const record of db.find(name)) {
+      await writeLine(stream, stringifyRecord({ [name]: record }))
+      counts[name]++
+    }
+  }
+
+  return counts
+}
+
+// Stops at the first write error instead of writing on into a broken stream
+async function writeLine(stream, line) {
+  if (stream.errored) throw stream.errored
+  if (!stream.write(line + '\n')) {
+    await once(stream, 'drain')
+  }
+}
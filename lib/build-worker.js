@@ -0,0 +1,15 @@
+import { parentPort, workerData } from 'worker_threads'
+
+import { HyperdbHelper } from '../index.js'
+import { createLogger } from './logger.js'
+
+// Runs a single build for watch, which starts a worker per rebuild so the
+// modules a build imports are freed when the worker exits
+const { filepath, options, level } = workerData
+const helper = new HyperdbHelper({ logger: createLogger({ level }) })
+
+try {
+  parentPort.postMessage({ report: await helper.build(filepath, options) })
+} catch (error) {
+  parentPort.postMessage({ error: error.message })
+}
@@ -0,0 +1,66 @@
+// Files of a schema directory that are loaded, others like README.md are skipped
+export const schemaDirectoryExtensions = [
+  '.js',
+  '.mjs',
+  '.cjs',
+  '.json',
+  '.yaml',
+  '.yml'
+]
+
+/**
+ * Composes schema modules into one, calling their createSchema and then their
+ * createDatabase functions in the order given
+ *
+ * Each namespace may only be created by one module, so structs shared through
+ * a package cannot be redefined, or silently replaced, by another module.
+ * @param {Array<{ name: string, module: Object }>} sources - Schema modules, named
+ * for errors, like schemas/blog.js or package @acme/shared-schema
+ * @returns {{ createSchema: Function, createDatabase: Function }}
+ * @throws {Error} From createSchema or createDatabase, if two modules create the same namespace
+ */
+export function composeSchemaModules(sources) {
+  return {
+    createSchema(hyperschema) {
+      const owners = new Map()
+      for (const { name, module } of sources) {
+        module.createSchema?.(claimNamespaces(hyperschema, name, owners))
+      }
+      return hyperschema
+    },
+    createDatabase(hyperdb, functions) {
+      const owners = new Map()
+      for (const { name, module } of sources) {
+        module.createDatabase?.(
+          claimNamespaces(hyperdb, name, owners),
+          functions
+        )
+      }
+      return hyperdb
+    }
+  }
+}
+
+// Stands in for a hyperschema or hyperdb builder, recording which source
+// created each namespace
+function claimNamespaces(builder, source, owners) {
+  return new Proxy(builder, {
+    get(target, property) {
+      if (property === 'namespace') {
+        return (name, ...args) => {
+          // A source creating a namespace twice is left to the builder to report
+          if (owners.has(name) && owners.get(name) !== source) {
+            throw new Error(
+              `Error: Namespace @${name} is created by both ${owners.get(name)} and ${source}`
+            )
+          }
+          owners.set(name, source)
+          return target.namespace(name, ...args)
+        }
+      }
+
+      const value = Reflect.get(target, property)
+      return typeof value === 'function' ? value.bind(target) : value
+    }
+  })
+}
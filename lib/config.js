@@ -0,0 +1,212 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+import { pathToFileURL } from 'url'
+
+import { validateLintConfig } from './lint.js'
+import { generatedModuleTypes } from './esm.js'
+import { validatePluginsConfig } from './plugins.js'
+import { backends } from './open.js'
+
+// Keys a config file may set, and the type of their values
+export const configSchema = {
+  schemaFilepath: 'string',
+  functionsFilepath: 'string',
+  generatedCodeDirectory: 'string',
+  generatedModuleType: 'string',
+  migrationsDirectory: 'string',
+  storage: 'string',
+  coreName: 'string',
+  backend: 'string',
+  watchDebounce: 'number',
+  lint: 'object',
+  databases: 'array',
+  schemaPackages: 'array',
+  plugins: 'array'
+}
+
+const validateStrings = (key) => (value) =>
+  value.every((item) => typeof item === 'string' && item)
+    ? []
+    : [`${key} must only hold non-empty strings`]
+
+// Checks the values further, returning problems
+const configValidators = {
+  generatedModuleType: (value) =>
+    generatedModuleTypes.includes(value)
+      ? []
+      : [
+          `generatedModuleType must be one of ${generatedModuleTypes.join(', ')}, got ${JSON.stringify(value)}`
+        ],
+  backend: (value) =>
+    backends.includes(value)
+      ? []
+      : [
+          `backend must be one of ${backends.join(', ')}, got ${JSON.stringify(value)}`
+        ],
+  lint: validateLintConfig,
+  databases: validateStrings('databases'),
+  schemaPackages: validateStrings('schemaPackages'),
+  plugins: validatePluginsConfig
+}
+
+// Older config templates wrote generatedDirectory
+const configAliases = {
+  generatedDirectory: 'generatedCodeDirectory'
+}
+
+// Checked in this order, only the first one found is loaded
+export const configFilenames = [
+  'config.js',
+  'config.mjs',
+  'config.cjs',
+  'config.json'
+]
+
+export const packageJsonConfigField = 'hyperdbHelper'
+
+/**
+ * Finds the config file of a database directory
+ * @param {string} databaseConfigDirectory
+ * @returns {Promise<{ filepath: string|null, ignored: string[] }>}
+ * The first config file found, and any other config files that are ignored
+ */
+export async function findConfigFile(databaseConfigDirectory) {
+  const found = []
+  for (const filename of configFilenames) {
+    try {
+      await fs.access(path.join(databaseConfigDirectory, filename))
+      found.push(path.join(databaseConfigDirectory, filename))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+
+  return { filepath: found[0] || null, ignored: found.slice(1) }
+}
+
+/**
+ * Reads the values of a config file
+ *
+ * JavaScript config files may default export the config or export it
+ * as `config`, JSON config files hold the config object itself.
+ * @param {string} filepath - Path to a config.js, .mjs, .cjs or .json file
+ * @returns {Promise<Object>}
+ * @throws {Error} If the file cannot be loaded or does not hold an object
+ */
+export async function readConfigFile(filepath) {
+  let values
+  try {
+    if (path.extname(filepath) === '.json') {
+      values = JSON.parse(await fs.readFile(filepath, 'utf8'))
+    } else {
+      // Bypass the import cache so watch picks up edits
+      const url = pathToFileURL(filepath)
+      url.searchParams.set('update', Date.now())
+      const module = await import(url.href)
+      values = module.config ?? module.default
+    }
+  } catch (error) {
+    throw new Error(`Error: Could not load ${filepath}: ${error.message}`)
+  }
+
+  if (values === undefined) return {}
+  if (!isObject(values)) {
+    throw new Error(`Error: ${filepath} must export a config object`)
+  }
+
+  return values
+}
+
+/**
+ * Finds the exports of a JavaScript config file that readConfigFile does not load,
+ * like named exports of single keys or a default export next to a config export
+ * @param {string} filepath - Path to a config.js, .mjs or .cjs file
+ * @returns {Promise<string[]>} Names of the ignored exports
+ * @throws {Error} If the file cannot be loaded
+ */
+export async function findIgnoredConfigExports(filepath) {
+  if (path.extname(filepath) === '.json') return []
+
+  let module
+  try {
+    const url = pathToFileURL(filepath)
+    url.searchParams.set('update', Date.now())
+    module = await import(url.href)
+  } catch (error) {
+    throw new Error(`Error: Could not load ${filepath}: ${error.message}`)
+  }
+
+  const loaded = module.config !== undefined ? 'config' : 'default'
+  const values = isObject(module[loaded]) ? module[loaded] : {}
+
+  // CommonJS files also expose the keys of module.exports as named exports
+  return Object.keys(module).filter(
+    (name) =>
+      name !== loaded &&
+      name !== 'module.exports' &&
+      module[name] !== module[loaded] &&
+      !(Object.hasOwn(values, name) && values[name] === module[name])
+  )
+}
+
+/**
+ * Merges config sources in order, later sources winning, and checks every
+ * key and value against configSchema
+ * @param {Array<{ name: string, values: Object }>} sources
+ * @returns {{ values: Object, sources: Object, errors: string[] }}
+ * The merged values, the name of the source each value came from, and
+ * problems prefixed with the source name
+ */
+export function resolveConfigSources(sources) {
+  const values = {}
+  const origins = {}
+  const errors = []
+
+  for (const source of sources) {
+    for (const [name, value] of Object.entries(source.values)) {
+      if (value === undefined) continue
+
+      const key = configAliases[name] || name
+      const type = configSchema[key]
+
+      if (!type) {
+        errors.push(`${source.name}: unknown key ${name}`)
+        continue
+      }
+      if (type === 'object' && !isObject(value)) {
+        errors.push(`${source.name}: ${name} must be an object`)
+        continue
+      }
+      if (type === 'array') {
+        if (!Array.isArray(value)) {
+          errors.push(`${source.name}: ${name} must be an array`)
+          continue
+        }
+      } else if (typeof value !== type || (type === 'string' && !value)) {
+        errors.push(
+          `${source.name}: ${name} must be a${type === 'string' ? ' non-empty' : ''} ${type}, got ${JSON.stringify(value)}`
+        )
+        continue
+      }
+      if (type === 'number' && !(value >= 0)) {
+        errors.push(`${source.name}: ${name} must not be negative`)
+        continue
+      }
+
+      const problems = configValidators[key]?.(value) || []
+      if (problems.length) {
+        errors.push(...problems.map((problem) => `${source.name}: ${problem}`))
+        continue
+      }
+
+      values[key] = value
+      origins[key] = name === key ? source.name : `${source.name} (${name})`
+    }
+  }
+
+  return { values, sources: origins, errors }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
@@ -0,0 +1,132 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+
+import Ajv from 'ajv'
+import { parseDocument, LineCounter } from 'yaml'
+
+export const declarativeSchemaExtensions = ['.json', '.yaml', '.yml']
+
+export const jsonSchemaFilepath = new URL(
+  '../json-schema/schema.json',
+  import.meta.url
+)
+
+let validate = null
+
+/**
+ * Checks whether a schema file uses the declarative JSON or YAML format
+ * @param {string} filepath - Path to the schema file
+ * @returns {boolean}
+ */
+export function isDeclarativeSchemaFilepath(filepath) {
+  return declarativeSchemaExtensions.includes(
+    path.extname(filepath).toLowerCase()
+  )
+}
+
+/**
+ * Loads a declarative schema file as a module with the same createSchema and
+ * createDatabase functions a JavaScript schema file exports
+ * @param {string} filepath - Path to a .json, .yaml or .yml schema file
+ * @returns {Promise<Object>} Schema module
+ * @throws {Error} If the file cannot be parsed or does not match the JSON Schema
+ */
+export async function loadDeclarativeSchema(filepath) {
+  const source = await fs.readFile(filepath, 'utf8')
+  const definition = await parseDeclarativeSchema(source, filepath)
+  return createSchemaModule(definition)
+}
+
+/**
+ * Parses and validates the contents of a declarative schema file
+ * @param {string} source - Contents of the schema file
+ * @param {string} filepath - Path used in error messages
+ * @returns {Promise<Object>} The validated schema definition
+ * @throws {Error} With line numbers if the source is invalid
+ */
+export async function parseDeclarativeSchema(source, filepath) {
+  // YAML is a superset of JSON, so one parser covers both formats and gives
+  // us source positions for error messages
+  const lineCounter = new LineCounter()
+  const document = parseDocument(source, { lineCounter })
+
+  if (document.errors.length) {
+    const messages = document.errors.map((error) => {
+      const [{ line, col }] = error.linePos
+      return `  ${filepath}:${line}:${col} ${error.message.split('\n')[0]}`
+    })
+    throw new Error(
+      `Error: Could not parse schema file:\n${messages.join('\n')}`
+    )
+  }
+
+  const definition = document.toJS()
+
+  if (!validate) {
+    const jsonSchema = JSON.parse(await fs.readFile(jsonSchemaFilepath, 'utf8'))
+    validate = new Ajv({ allErrors: true }).compile(jsonSchema)
+  }
+
+  if (!validate(definition)) {
+    const messages = validate.errors.map((error) => {
+      const segments = error.instancePath
+        .split('/')
+        .slice(1)
+        .map((segment) => (/^\d+$/.test(segment) ? Number(segment) : segment))
+      const node = document.getIn(segments, true)
+      const offset = node?.range ? node.range[0] : 0
+      const { line, col } = lineCounter.linePos(offset)
+      const location = formatInstancePath(segments) || 'schema'
+      const property = error.params.additionalProperty
+      const message = property ? `${error.message}: ${property}` : error.message
+      return `  ${filepath}:${line}:${col} ${location} ${message}`
+    })
+    throw new Error(`Error: Invalid schema file:\n${messages.join('\n')}`)
+  }
+
+  return definition
+}
+
+/**
+ * Translates a declarative schema definition into hyperschema and hyperdb
+ * builder calls
+ * @param {Object} definition - A validated schema definition
+ * @returns {Object} Schema module with createSchema and createDatabase functions
+ */
+export function createSchemaModule(definition) {
+  return {
+    createSchema(hyperschema) {
+      for (const namespace of definition.namespaces) {
+        const schema = hyperschema.namespace(namespace.name)
+        for (const struct of namespace.structs || []) {
+          schema.register(struct)
+        }
+      }
+
+      return hyperschema
+    },
+
+    createDatabase(hyperdb) {
+      for (const namespace of definition.namespaces) {
+        const database = hyperdb.namespace(namespace.name)
+        for (const collection of namespace.collections || []) {
+          database.collections.register(collection)
+        }
+        for (const index of namespace.indexes || []) {
+          database.indexes.register(index)
+        }
+      }
+
+      return hyperdb
+    }
+  }
+}
+
+function formatInstancePath(segments) {
+  return segments
+    .map((segment, i) => {
+      if (typeof segment === 'number') return `[${segment}]`
+      return i === 0 ? segment : `.${segment}`
+    })
+    .join('')
+}
@@ -0,0 +1,13 @@
+// Type ids used for the entries of a generated db.json
+export const COLLECTION_TYPE = 1
+export const INDEX_TYPE = 2
+
+/**
+ * Gets the fully qualified name of a struct, collection or index, like @example/post
+ * @param {Object} type - An entry of schema.json or db.json
+ * @returns {string}
+ */
+export function getFullyQualifiedName({ namespace, name }) {
+  if (namespace === null || namespace === undefined) return name
+  return `@${namespace}/${name}`
+}
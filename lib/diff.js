@@ -0,0 +1,236 @@
+import {
+  COLLECTION_TYPE,
+  INDEX_TYPE,
+  getFullyQualifiedName
+} from './definitions.js'
+
+/**
+ * Compares two versions of the generated schema.json and db.json files
+ * @param {Object} previous - The currently generated definitions
+ * @param {Object} previous.schema - Contents of schemas/schema.json
+ * @param {Object} previous.database - Contents of database/db.json
+ * @param {Object} next - The definitions the schema file would produce
+ * @param {Object} next.schema - Contents of the proposed schema.json
+ * @param {Object} next.database - Contents of the proposed db.json
+ * @returns {{ additive: Object[], breaking: Object[] }} Changes grouped by compatibility,
+ * as { breaking, refused, kind, name, message }. Refused changes are breaking changes
+ * hyperschema will not build over the existing definitions, even when breaking changes are allowed.
+ * @example
+ * const { breaking } = diffDefinitions(previous, next)
+ * for (const change of breaking) {
+ *   console.log(change.message)
+ * }
+ */
+export function diffDefinitions(previous, next) {
+  const changes = [
+    ...diffStructs(previous.schema, next.schema),
+    ...diffDatabase(previous.database, next.database)
+  ]
+
+  return {
+    additive: changes.filter((change) => !change.breaking),
+    breaking: changes.filter((change) => change.breaking)
+  }
+}
+
+function diffStructs(previousSchema, nextSchema) {
+  const changes = []
+  const previousStructs = byName(previousSchema?.schema)
+  const nextStructs = byName(nextSchema?.schema)
+
+  for (const [name, struct] of previousStructs) {
+    if (!nextStructs.has(name)) {
+      changes.push(change(true, 'struct', name, `Struct removed: ${name}`))
+      continue
+    }
+
+    changes.push(...diffFields(name, struct, nextStructs.get(name)))
+  }
+
+  for (const name of nextStructs.keys()) {
+    if (!previousStructs.has(name)) {
+      changes.push(change(false, 'struct', name, `Struct added: ${name}`))
+    }
+  }
+
+  return changes
+}
+
+function diffFields(structName, previousStruct, nextStruct) {
+  const changes = []
+  const previousFields = previousStruct.fields || []
+  const nextFields = nextStruct.fields || []
+
+  if (!!previousStruct.compact !== !!nextStruct.compact) {
+    changes.push(
+      change(
+        true,
+        'struct',
+        structName,
+        `Struct compact setting changed: ${structName}`
+      )
+    )
+  }
+
+  // Fields are encoded by position, so they are compared position by position
+  for (let i = 0; i < previousFields.length; i++) {
+    const previousField = previousFields[i]
+    const nextField = nextFields[i]
+    const tag = `${structName}/${previousField.name}`
+
+    if (!nextField) {
+      changes.push(refused('field', tag, `Field removed: ${tag}`))
+      continue
+    }
+
+    if (nextField.name !== previousField.name) {
+      changes.push(
+        change(
+          true,
+          'field',
+          tag,
+          `Field renamed or reordered: ${tag} is now ${nextField.name}`
+        )
+      )
+    }
+
+    if (nextField.type !== previousField.type) {
+      changes.push(
+        refused(
+          'field',
+          tag,
+          `Field type changed: ${tag} from ${previousField.type} to ${nextField.type}`
+        )
+      )
+    }
+
+    if (!!nextField.required !== !!previousField.required) {
+      const description = nextField.required
+        ? 'became required'
+        : 'is no longer required'
+      changes.push(refused('field', tag, `Field ${description}: ${tag}`))
+    }
+
+    if (!!nextField.array !== !!previousField.array) {
+      changes.push(
+        change(true, 'field', tag, `Field array setting changed: ${tag}`)
+      )
+    }
+  }
+
+  for (let i = previousFields.length; i < nextFields.length; i++) {
+    const field = nextFields[i]
+    const tag = `${structName}/${field.name}`
+
+    if (nextStruct.compact) {
+      changes.push(
+        refused('field', tag, `Field added to compact struct: ${tag}`)
+      )
+    } else if (field.required) {
+      changes.push(change(true, 'field', tag, `Required field added: ${tag}`))
+    } else {
+      changes.push(change(false, 'field', tag, `Field added: ${tag}`))
+    }
+  }
+
+  return changes
+}
+
+function diffDatabase(previousDatabase, nextDatabase) {
+  const changes = []
+  const previousTypes = byName(previousDatabase?.schema)
+  const nextTypes = byName(nextDatabase?.schema)
+
+  for (const [name, type] of previousTypes) {
+    const kind = type.type === INDEX_TYPE ? 'index' : 'collection'
+    const label = type.type === INDEX_TYPE ? 'Index' : 'Collection'
+    const nextType = nextTypes.get(name)
+
+    if (!nextType) {
+      changes.push(change(true, kind, name, `${label} removed: ${name}`))
+      continue
+    }
+
+    if (nextType.type !== type.type) {
+      changes.push(change(true, kind, name, `${label} changed kind: ${name}`))
+      continue
+    }
+
+    if (!isEqual(nextType.key, type.key)) {
+      changes.push(
+        change(
+          true,
+          kind,
+          name,
+          `${label} key changed: ${name} from ${formatKey(type.key)} to ${formatKey(nextType.key)}`
+        )
+      )
+    }
+
+    if (type.type === COLLECTION_TYPE && nextType.schema !== type.schema) {
+      changes.push(
+        change(
+          true,
+          kind,
+          name,
+          `Collection schema changed: ${name} from ${type.schema} to ${nextType.schema}`
+        )
+      )
+    }
+
+    if (type.type === INDEX_TYPE) {
+      if (nextType.collection !== type.collection) {
+        changes.push(
+          change(
+            true,
+            kind,
+            name,
+            `Index collection changed: ${name} from ${type.collection} to ${nextType.collection}`
+          )
+        )
+      }
+
+      if (!!nextType.unique !== !!type.unique) {
+        changes.push(
+          change(true, kind, name, `Index uniqueness changed: ${name}`)
+        )
+      }
+    }
+  }
+
+  for (const [name, type] of nextTypes) {
+    if (!previousTypes.has(name)) {
+      const kind = type.type === INDEX_TYPE ? 'index' : 'collection'
+      const label = type.type === INDEX_TYPE ? 'Index' : 'Collection'
+      changes.push(change(false, kind, name, `${label} added: ${name}`))
+    }
+  }
+
+  return changes
+}
+
+function change(breaking, kind, name, message) {
+  return { breaking, refused: false, kind, name, message }
+}
+
+// Hyperschema throws on these when building over the existing definitions
+function refused(kind, name, message) {
+  return { breaking: true, refused: true, kind, name, message }
+}
+
+function byName(types = []) {
+  const map = new Map()
+  for (const type of types) {
+    map.set(getFullyQualifiedName(type), type)
+  }
+  return map
+}
+
+function formatKey(key) {
+  if (Array.isArray(key)) return `[${key.join(', ')}]`
+  return JSON.stringify(key)
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
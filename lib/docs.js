@@ -0,0 +1,267 @@
+/**
+ * Finds the fields that hold the key of a collection, from explicit
+ * annotations or else by naming, so post.author or post.authorId refers to
+ * the author collection when its key is a single field of the same type
+ * @param {{ namespaces: Object[] }} summary - Summary from summarizeDefinitions
+ * @param {Map<string, string|false>} [annotations] - The references of fields
+ * like @example/post.author, given in the schema file. False turns inference off
+ * for that field.
+ * @returns {Array<{ struct: string, field: string, collection: string, key: string, explicit: boolean }>}
+ */
+export function findReferences(summary, annotations = new Map()) {
+  const collections = new Map()
+  for (const namespace of summary.namespaces) {
+    for (const collection of namespace.collections) {
+      collections.set(collection.name, collection)
+    }
+  }
+
+  const structs = new Map()
+  for (const namespace of summary.namespaces) {
+    for (const struct of namespace.structs) {
+      structs.set(struct.name, struct)
+    }
+  }
+
+  const references = []
+
+  for (const namespace of summary.namespaces) {
+    for (const struct of namespace.structs) {
+      for (const field of struct.fields) {
+        const tag = `${struct.name}.${field.name}`
+
+        if (annotations.has(tag)) {
+          const target = annotations.get(tag)
+          if (target === false) continue
+
+          const collection = collections.get(target)
+          if (!collection) {
+            throw new Error(
+              `Error: ${tag} references ${target}, which is not a collection`
+            )
+          }
+
+          references.push({
+            struct: struct.name,
+            field: field.name,
+            collection: collection.name,
+            key: collection.key.join(', '),
+            explicit: true
+          })
+          continue
+        }
+
+        const name = field.name.replace(/(Id|_id)$/, '')
+        const collection = collections.get(`@${namespace.name}/${name}`)
+        if (!collection || collection.key.length !== 1) continue
+
+        // The key of a collection does not refer to the collection itself
+        if (collection.schema === struct.name) continue
+
+        const keyField = structs
+          .get(collection.schema)
+          ?.fields.find(({ name }) => name === collection.key[0])
+        if (!keyField || keyField.type !== field.type) continue
+
+        references.push({
+          struct: struct.name,
+          field: field.name,
+          collection: collection.name,
+          key: collection.key[0],
+          explicit: false
+        })
+      }
+    }
+  }
+
+  return references
+}
+
+/**
+ * Generates Markdown describing every struct, collection and index, headed by
+ * a Mermaid ER diagram of the structs and their references
+ * @param {{ namespaces: Object[] }} summary - Summary from summarizeDefinitions
+ * @param {Object} [options]
+ * @param {Object[]} [options.references] - References from findReferences
+ * @param {number} [options.schemaVersion] - Version of the generated schema
+ * @returns {string}
+ */
+export function generateDocs(summary, { references = [], schemaVersion } = {}) {
+  const sections = ['# Schema']
+
+  if (schemaVersion !== undefined) {
+    sections.push(
+      `Generated by hyperdb-helper from schema version ${schemaVersion}, do not edit by hand.`
+    )
+  }
+
+  sections.push('```mermaid\n' + generateDiagram(summary, references) + '\n```')
+
+  const referencesByField = new Map(
+    references.map((reference) => [
+      `${reference.struct}.${reference.field}`,
+      reference
+    ])
+  )
+
+  for (const namespace of summary.namespaces) {
+    sections.push(`## @${namespace.name}`)
+
+    for (const struct of namespace.structs) {
+      sections.push(
+        `### ${struct.name}\n\n` +
+          formatMarkdownTable(
+            ['Field', 'Type', 'Required', 'References'],
+            struct.fields.map((field) => {
+              const reference = referencesByField.get(
+                `${struct.name}.${field.name}`
+              )
+              return [
+                field.name,
+                field.array ? `${field.type}[]` : field.type,
+                field.required ? 'yes' : 'no',
+                reference ? `${reference.collection} (${reference.key})` : ''
+              ]
+            })
+          )
+      )
+    }
+
+    if (namespace.collections.length) {
+      sections.push(
+        '### Collections\n\n' +
+          formatMarkdownTable(
+            ['Name', 'Struct', 'Key', 'Trigger'],
+            namespace.collections.map((collection) => [
+              collection.name,
+              collection.schema,
+              collection.key.join(', '),
+              collection.trigger || ''
+            ])
+          )
+      )
+    }
+
+    if (namespace.indexes.length) {
+      sections.push(
+        '### Indexes\n\n' +
+          formatMarkdownTable(
+            ['Name', 'Collection', 'Key', 'Unique', 'Map'],
+            namespace.indexes.map((index) => [
+              index.name,
+              index.collection,
+              Array.isArray(index.key) ? index.key.join(', ') : index.key,
+              index.unique ? 'yes' : 'no',
+              index.map || ''
+            ])
+          )
+      )
+    }
+  }
+
+  return sections.join('\n\n') + '\n'
+}
+
+function generateDiagram(summary, references) {
+  const lines = ['erDiagram']
+  const structs = new Map()
+  const keys = new Set()
+  const uniques = new Set()
+
+  for (const namespace of summary.namespaces) {
+    for (const struct of namespace.structs) {
+      structs.set(struct.name, struct)
+    }
+  }
+  for (const namespace of summary.namespaces) {
+    for (const collection of namespace.collections) {
+      for (const key of collection.key) {
+        keys.add(`${collection.schema}.${key}`)
+      }
+    }
+    for (const index of namespace.indexes) {
+      const collection = namespace.collections.find(
+        ({ name }) => name === index.collection
+      )
+      if (!index.unique || !collection || !Array.isArray(index.key)) continue
+      for (const key of index.key) {
+        uniques.add(`${collection.schema}.${key}`)
+      }
+    }
+  }
+
+  const collectionStructs = new Map()
+  for (const namespace of summary.namespaces) {
+    for (const collection of namespace.collections) {
+      collectionStructs.set(collection.name, collection.schema)
+    }
+  }
+  const referenceFields = new Set(
+    references.map((reference) => `${reference.struct}.${reference.field}`)
+  )
+
+  for (const struct of structs.values()) {
+    lines.push(`  ${getEntityName(struct.name)} {`)
+    for (const field of struct.fields) {
+      const tag = `${struct.name}.${field.name}`
+      const markers = [
+        keys.has(tag) && 'PK',
+        referenceFields.has(tag) && 'FK',
+        uniques.has(tag) && 'UK'
+      ].filter(Boolean)
+
+      const type = structs.has(field.type)
+        ? getEntityName(field.type)
+        : field.type
+      lines.push(
+        `    ${type}${field.array ? '[]' : ''} ${field.name}${markers.length ? ' ' + markers.join(', ') : ''}`
+      )
+    }
+    lines.push('  }')
+  }
+
+  // Structs embedded in the fields of other structs
+  for (const struct of structs.values()) {
+    for (const field of struct.fields) {
+      if (!structs.has(field.type)) continue
+
+      const cardinality = field.array ? 'o{' : field.required ? '||' : 'o|'
+      lines.push(
+        `  ${getEntityName(struct.name)} ||--${cardinality} ${getEntityName(field.type)} : "${field.name}"`
+      )
+    }
+  }
+
+  for (const reference of references) {
+    const target = collectionStructs.get(reference.collection)
+    const field = structs
+      .get(reference.struct)
+      .fields.find(({ name }) => name === reference.field)
+
+    const cardinality = field.array
+      ? '}o--o{'
+      : field.required
+        ? '}o--||'
+        : '}o--o|'
+    lines.push(
+      `  ${getEntityName(reference.struct)} ${cardinality} ${getEntityName(target)} : "${reference.field}"`
+    )
+  }
+
+  return lines.join('\n')
+}
+
+// Mermaid entity names are plain identifiers, so @example/post becomes example_post
+function getEntityName(name) {
+  return name.replace(/^@/, '').replace(/[^a-zA-Z0-9_-]/g, '_')
+}
+
+function formatMarkdownTable(headers, rows) {
+  const escape = (cell) => String(cell ?? '').replaceAll('|', '\\|')
+
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(escape).join(' | ')} |`)
+  ].join('\n')
+}
@@ -0,0 +1,153 @@
+/**
+ * Checks a dependency of the generated code
+ * @param {Object} dependency
+ * @param {string} dependency.name - Package name
+ * @param {string|null} dependency.declared - Range in dependencies or devDependencies, or null
+ * @param {string|null} dependency.installed - Installed version, or null
+ * @param {string} [dependency.builderVersion] - Version the helper builds with, if it builds with it
+ * @returns {Array<{ check: string, severity: string, message: string, suggestion: string, fixable: boolean }>}
+ */
+export function diagnoseDependency({
+  name,
+  declared,
+  installed,
+  builderVersion
+}) {
+  const range = builderVersion ? `${name}@^${builderVersion}` : name
+  const finding = (severity, message, suggestion) => ({
+    check: 'dependencies',
+    severity,
+    message,
+    suggestion,
+    fixable: false
+  })
+
+  if (!declared && !installed) {
+    return [
+      finding('error', `${name} is not installed`, `Run 'npm install ${range}'`)
+    ]
+  }
+  if (!declared) {
+    return [
+      finding(
+        'warn',
+        `${name} is installed but not listed in package.json`,
+        `Run 'npm install ${range}'`
+      )
+    ]
+  }
+  if (!installed) {
+    return [
+      finding(
+        'error',
+        `${name} is listed in package.json but not installed`,
+        `Run 'npm install'`
+      )
+    ]
+  }
+  if (!builderVersion) return []
+
+  const [major] = parseVersion(installed)
+  const [builderMajor] = parseVersion(builderVersion)
+  if (major !== builderMajor) {
+    return [
+      finding(
+        'error',
+        `${name} ${installed} is installed, but the generated code is built with ${builderVersion}`,
+        `Run 'npm install ${range}'`
+      )
+    ]
+  }
+  if (compareVersions(installed, builderVersion) < 0) {
+    return [
+      finding(
+        'warn',
+        `${name} ${installed} is older than ${builderVersion}, which the generated code is built with`,
+        `Run 'npm install ${range}'`
+      )
+    ]
+  }
+
+  return []
+}
+
+/**
+ * Finds the names of collection triggers and index maps the functions file does not export
+ * @param {Object} definitions
+ * @param {Object[]} definitions.collections - Registered collections
+ * @param {Object[]} definitions.indexes - Registered indexes
+ * @param {Object} functions - Exports of the functions file
+ * @returns {Array<{ name: string, usedBy: string }>} Each missing function, with the
+ * collection or index using it
+ */
+export function findMissingFunctions({ collections, indexes }, functions) {
+  const missing = []
+  const used = [
+    ...collections.map((collection) => [collection, collection.trigger]),
+    ...indexes.map((index) => [index, index.key?.map])
+  ]
+
+  for (const [description, name] of used) {
+    if (typeof name !== 'string' || typeof functions[name] === 'function') {
+      continue
+    }
+    missing.push({
+      name,
+      usedBy: `@${description.namespace}/${description.name}`
+    })
+  }
+
+  return missing
+}
+
+/**
+ * Finds the package.json script that builds the database
+ * @param {Object} [scripts] - The scripts of package.json
+ * @returns {string|null} The name of the script, or null if there is none
+ */
+export function findBuildScript(scripts = {}) {
+  for (const [name, command] of Object.entries(scripts)) {
+    if (/\bhyperdb-helper\s+build\b/.test(command)) return name
+  }
+  return null
+}
+
+/**
+ * Formats findings from doctor, each with its suggested fix
+ * @param {Object[]} findings
+ * @returns {string}
+ */
+export function formatDoctorFindings(findings) {
+  if (!findings.length) {
+    return 'No problems found'
+  }
+
+  return findings
+    .map((finding) => {
+      const label = finding.fixed ? 'fixed' : finding.severity
+      const lines = [`${label.padEnd(5)}  ${finding.message}  ${finding.check}`]
+      if (!finding.fixed) {
+        lines.push(
+          `       ${finding.suggestion}${finding.fixable ? ', or run doctor --fix' : ''}`
+        )
+      }
+      return lines.join('\n')
+    })
+    .join('\n')
+}
+
+function parseVersion(version) {
+  return version
+    .split('-')[0]
+    .split('.')
+    .map((part) => Number(part) || 0)
+}
+
+function compareVersions(a, b) {
+  const partsA = parseVersion(a)
+  const partsB = parseVersion(b)
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) return (partsA[i] || 0) - (partsB[i] || 0)
+  }
+  return 0
+}
@@ -0,0 +1,117 @@
+export const generatedModuleTypes = ['commonjs', 'module']
+
+/**
+ * Converts code generated by hyperschema or hyperdb to an ES module
+ *
+ * Only the statements the code generators write are converted: requires of
+ * packages, destructured requires of relative files, helper requires and the
+ * module.exports object. The exports are copied into constants, like
+ * module.exports copies them, so setVersion does not change the exported version.
+ * @param {string} code - Generated CommonJS code
+ * @returns {string}
+ * @throws {Error} If the code has a require or export it does not recognize
+ */
+export function convertToEsm(code) {
+  const lines = code.split('\n')
+  const result = []
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    const destructured = line.match(
+      /^const (\{ [\w, ]+ \}) = require\('([^']+)'\)$/
+    )
+    if (destructured) {
+      const [, bindings, specifier] = destructured
+      if (specifier.startsWith('.')) {
+        result.push(`import ${bindings} from '${specifier}'`)
+      } else {
+        // Packages may be CommonJS, so only their default export is relied
+        // on, and without an exports field their files need an extension
+        const name = getModuleName(specifier)
+        const filepath = /^(@[^/]+\/)?[^/]+\/[^.]+$/.test(specifier)
+          ? `${specifier}.js`
+          : specifier
+        result.push(`import ${name} from '${filepath}'`)
+        result.push(`const ${bindings} = ${name}`)
+      }
+      continue
+    }
+
+    const namespace = line.match(/^const (\w+) = require\('([^']+)'\)$/)
+    if (namespace) {
+      result.push(`import * as ${namespace[1]} from '${namespace[2]}'`)
+      continue
+    }
+
+    if (line.startsWith('module.exports = {')) {
+      const end = line.endsWith('}') ? i : lines.indexOf('}', i)
+      const object = lines.slice(i, end + 1)
+      object[0] = object[0].replace('module.exports = ', 'const exported = ')
+
+      // The exported names are taken by the local bindings, so the copies
+      // get their own names and are renamed on export
+      const names = getExportNames(object)
+      result.push(...object)
+      result.push('')
+      result.push(
+        `const { ${names.map((name) => `${name}: exported_${name}`).join(', ')} } = exported`
+      )
+      result.push(
+        `export { ${names.map((name) => `exported_${name} as ${name}`).join(', ')} }`
+      )
+      result.push('export default exported')
+      i = end
+      continue
+    }
+
+    if (/\brequire\(|\bmodule\.exports\b/.test(line)) {
+      throw new Error(`Error: Cannot convert generated code to ESM: ${line}`)
+    }
+
+    result.push(line)
+  }
+
+  return result.join('\n')
+}
+
+/**
+ * Points the relative requires of generated CommonJS code at .cjs files,
+ * for packages whose .js files are ES modules
+ * @param {string} code - Generated CommonJS code
+ * @param {string[]} filenames - Generated files that get a .cjs twin, like messages.js
+ * @returns {string}
+ */
+export function renameCommonJsRequires(code, filenames) {
+  return code.replace(
+    /require\('(\.{1,2}\/[^']+)'\)/g,
+    (statement, specifier) => {
+      const filename = specifier.split('/').pop()
+      if (!filenames.includes(filename)) return statement
+      return `require('${specifier.replace(/\.js$/, '.cjs')}')`
+    }
+  )
+}
+
+// Top-level keys of an object literal, one per line or all on one line
+function getExportNames(object) {
+  if (object.length === 1) {
+    return object[0]
+      .slice(object[0].indexOf('{') + 1, object[0].lastIndexOf('}'))
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean)
+  }
+
+  return object
+    .map((line) => line.match(/^ {2}(\w+)(?::|,|$)/)?.[1])
+    .filter(Boolean)
+}
+
+function getModuleName(specifier) {
+  const name = specifier
+    .split('/')
+    .pop()
+    .replace(/[^\w]+(\w)/g, (match, letter) => letter.toUpperCase())
+  return `${name}Module`
+}
@@ -0,0 +1,115 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+
+import { COLLECTION_TYPE, getFullyQualifiedName } from './definitions.js'
+import { getStructs, reviveRecord, validateRecord } from './records.js'
+
+/**
+ * Reads records from a fixtures file keyed by collection name
+ *
+ * A .json file holds an object mapping collection names to arrays of
+ * records. A .ndjson or .jsonl file holds one object per line mapping a
+ * collection name to a single record.
+ * @param {string} filepath - Path to the fixtures file
+ * @returns {Promise<Array<{ collection: string, record: Object, location: string }>>}
+ * @throws {Error} If the file is not valid JSON or NDJSON
+ */
+export async function readFixtures(filepath) {
+  const source = await fs.readFile(filepath, 'utf8')
+  const filename = path.basename(filepath)
+  const entries = []
+
+  if (path.extname(filepath).toLowerCase() === '.json') {
+    const fixtures = JSON.parse(source)
+    for (const [collection, records] of Object.entries(fixtures)) {
+      ;[].concat(records).forEach((record, i) => {
+        entries.push({
+          collection,
+          record,
+          location: `${filename} ${collection}[${i}]`
+        })
+      })
+    }
+    return entries
+  }
+
+  const lines = source.split('\n')
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim()
+    if (!line) continue
+
+    let fixture
+    try {
+      fixture = JSON.parse(line)
+    } catch (error) {
+      throw new Error(`Error: ${filename}:${i + 1} ${error.message}`)
+    }
+
+    for (const [collection, record] of Object.entries(fixture)) {
+      // Exports start with a header line describing where they came from
+      if (collection === '$header') continue
+
+      entries.push({
+        collection,
+        record,
+        location: `${filename}:${i + 1} ${collection}`
+      })
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Checks fixture records against the structs of their collections and
+ * revives values that do not survive JSON
+ * @param {Array<Object>} entries - Entries from readFixtures()
+ * @param {Object} schemaJson - Contents of schemas/schema.json
+ * @param {Object} dbJson - Contents of database/db.json
+ * @returns {{ entries: Object[], collections: Object, errors: Object[] }}
+ */
+export function validateFixtures(entries, schemaJson, dbJson) {
+  const structs = getStructs(schemaJson)
+  const collections = new Map(
+    dbJson.schema
+      .filter((type) => type.type === COLLECTION_TYPE)
+      .map((type) => [getFullyQualifiedName(type), type])
+  )
+
+  const counts = {}
+  const errors = []
+  const valid = []
+
+  for (const entry of entries) {
+    const collection = collections.get(entry.collection)
+
+    if (!collection) {
+      errors.push({
+        location: entry.location,
+        collection: entry.collection,
+        errors: [`Unknown collection ${entry.collection}`]
+      })
+      continue
+    }
+
+    counts[entry.collection] ??= { records: 0, invalid: 0 }
+    counts[entry.collection].records++
+
+    const record = reviveRecord(entry.record, collection.schema, structs)
+    const recordErrors = validateRecord(record, collection.schema, structs)
+
+    if (recordErrors.length) {
+      counts[entry.collection].invalid++
+      errors.push({
+        location: entry.location,
+        collection: entry.collection,
+        errors: recordErrors
+      })
+      continue
+    }
+
+    valid.push({ ...entry, record })
+  }
+
+  return { entries: valid, collections: counts, errors }
+}
@@ -0,0 +1,67 @@
+import * as path from 'path'
+
+/**
+ * Registers the functions file as the hyperdb helpers file of every namespace
+ * whose collection triggers or index maps reference it by name, so the
+ * generated code can resolve those names
+ * @param {Object} hyperdb - A hyperdb builder after createDatabase was called
+ * @param {Object} functions - Exports of the functions file
+ * @param {string} functionsFilepath - Path to the functions file
+ * @throws {Error} If a trigger or map is not an exported function, or an export is never used
+ */
+export function registerFunctions(hyperdb, functions, functionsFilepath) {
+  const filename = path.basename(functionsFilepath)
+  const resolvedFilepath = path.resolve(functionsFilepath)
+  const referenced = new Set()
+  const errors = []
+  let hasCustomHelpers = false
+
+  for (const type of hyperdb.orderedTypes) {
+    const name = type.isCollection ? type.trigger : type.map
+    if (!name) continue
+
+    const namespace = hyperdb.namespaces.get(type.namespace)
+    if (!namespace) continue
+
+    // Namespaces that require their own helpers file are left alone
+    if (namespace.helpers && namespace.helpers !== resolvedFilepath) {
+      hasCustomHelpers = true
+      continue
+    }
+
+    const label = type.isCollection
+      ? `Collection ${type.fqn} trigger`
+      : `Index ${type.fqn} map`
+
+    if (!isIdentifier(name)) {
+      errors.push(
+        `${label} must be the name of a function exported by ${filename}`
+      )
+    } else if (typeof functions[name] !== 'function') {
+      errors.push(`${label} ${name} is not exported by ${filename}`)
+    } else {
+      referenced.add(name)
+      namespace.require(resolvedFilepath)
+    }
+  }
+
+  if (!hasCustomHelpers) {
+    for (const [name, value] of Object.entries(functions)) {
+      if (typeof value === 'function' && !referenced.has(name)) {
+        errors.push(
+          `${name} is exported by ${filename} but not used by any collection or index`
+        )
+      }
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(
+      `Error: Invalid functions:\n${errors.map((error) => `  - ${error}`).join('\n')}`
+    )
+  }
+}
+
+function isIdentifier(name) {
+  return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)
+}
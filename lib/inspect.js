@@ -0,0 +1,141 @@
+import {
+  COLLECTION_TYPE,
+  INDEX_TYPE,
+  getFullyQualifiedName
+} from './definitions.js'
+import { formatTable } from './table.js'
+
+/**
+ * Summarizes the generated schema.json and db.json files by namespace
+ * @param {Object} schemaJson - Contents of schemas/schema.json
+ * @param {Object} dbJson - Contents of database/db.json
+ * @param {Object} [options]
+ * @param {string} [options.namespace] - Only include this namespace
+ * @returns {{ namespaces: Object[] }}
+ */
+export function summarizeDefinitions(schemaJson, dbJson, options = {}) {
+  const namespaces = new Map()
+
+  const getNamespace = (name) => {
+    if (!namespaces.has(name)) {
+      namespaces.set(name, {
+        name,
+        structs: [],
+        collections: [],
+        indexes: []
+      })
+    }
+    return namespaces.get(name)
+  }
+
+  for (const type of schemaJson.schema) {
+    if (type.alias) continue
+
+    getNamespace(type.namespace).structs.push({
+      name: getFullyQualifiedName(type),
+      fields: type.fields.map((field) => ({
+        name: field.name,
+        type: field.type,
+        required: !!field.required,
+        array: !!field.array
+      }))
+    })
+  }
+
+  for (const type of dbJson.schema) {
+    const namespace = getNamespace(type.namespace)
+
+    if (type.type === COLLECTION_TYPE) {
+      namespace.collections.push({
+        name: getFullyQualifiedName(type),
+        schema: type.schema,
+        key: type.key,
+        trigger: type.trigger
+      })
+    } else if (type.type === INDEX_TYPE) {
+      const mapped = !Array.isArray(type.key)
+      namespace.indexes.push({
+        name: getFullyQualifiedName(type),
+        collection: type.collection,
+        key: mapped ? type.key.type : type.key,
+        unique: type.unique,
+        map: mapped ? type.key.map : null
+      })
+    }
+  }
+
+  let result = [...namespaces.values()]
+  if (options.namespace) {
+    result = result.filter(({ name }) => name === options.namespace)
+  }
+
+  return { namespaces: result }
+}
+
+/**
+ * Formats a summary from summarizeDefinitions as human-readable tables
+ * @param {{ namespaces: Object[] }} summary
+ * @returns {string}
+ */
+export function formatSummary(summary) {
+  if (!summary.namespaces.length) {
+    return 'No definitions found'
+  }
+
+  const sections = []
+
+  for (const namespace of summary.namespaces) {
+    sections.push(`# ${namespace.name}`)
+
+    for (const struct of namespace.structs) {
+      sections.push(
+        `## Struct ${struct.name}\n\n` +
+          formatTable(
+            ['field', 'type', 'required'],
+            struct.fields.map((field) => [
+              field.name,
+              field.array ? `${field.type}[]` : field.type,
+              field.required ? 'yes' : 'no'
+            ])
+          )
+      )
+    }
+
+    if (namespace.collections.length) {
+      sections.push(
+        '## Collections\n\n' +
+          formatTable(
+            ['name', 'schema', 'key', 'trigger'],
+            namespace.collections.map((collection) => [
+              collection.name,
+              collection.schema,
+              formatKey(collection.key),
+              collection.trigger || '-'
+            ])
+          )
+      )
+    }
+
+    if (namespace.indexes.length) {
+      sections.push(
+        '## Indexes\n\n' +
+          formatTable(
+            ['name', 'collection', 'key', 'unique', 'map'],
+            namespace.indexes.map((index) => [
+              index.name,
+              index.collection,
+              formatKey(index.key),
+              index.unique ? 'yes' : 'no',
+              index.map || '-'
+            ])
+          )
+      )
+    }
+  }
+
+  return sections.join('\n\n')
+}
+
+function formatKey(key) {
+  return Array.isArray(key) ? key.join(', ') : key
+}
@@ -0,0 +1,234 @@
+import { getFullyQualifiedName } from './definitions.js'
+
+export const lintSeverities = ['off', 'warn', 'error']
+
+// Rule ids with their default severity, overridable with the lint.rules config
+export const lintRules = {
+  'collection-key-field': {
+    severity: 'error',
+    description: 'Collection keys must name fields of the collection struct'
+  },
+  'collection-key-required': {
+    severity: 'error',
+    description: 'Collection keys must only use required fields'
+  },
+  'index-key-field': {
+    severity: 'error',
+    description: 'Index keys must name fields of the collection struct'
+  },
+  'unique-optional-field': {
+    severity: 'warn',
+    description: 'Unique indexes should only use required fields'
+  },
+  'unused-struct': {
+    severity: 'warn',
+    description: 'Structs should be stored by a collection or used by one'
+  }
+}
+
+/**
+ * Checks the lint config, as set in config.js
+ * @param {Object} lint
+ * @param {Object} [lint.rules] - Severity of each rule id: off, warn or error
+ * @param {boolean} [lint.build] - Whether build lints first
+ * @returns {string[]} Problems, naming the offending key
+ */
+export function validateLintConfig(lint) {
+  const errors = []
+
+  for (const [key, value] of Object.entries(lint)) {
+    if (key === 'build') {
+      if (typeof value !== 'boolean') {
+        errors.push(
+          `lint.build must be a boolean, got ${JSON.stringify(value)}`
+        )
+      }
+    } else if (key === 'rules') {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push('lint.rules must be an object')
+        continue
+      }
+
+      for (const [rule, severity] of Object.entries(value)) {
+        if (!Object.hasOwn(lintRules, rule)) {
+          errors.push(`lint.rules has unknown rule ${rule}`)
+        } else if (!lintSeverities.includes(severity)) {
+          errors.push(
+            `lint.rules.${rule} must be one of ${lintSeverities.join(', ')}, got ${JSON.stringify(severity)}`
+          )
+        }
+      }
+    } else {
+      errors.push(`unknown key lint.${key}`)
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Lints the structs, collections and indexes a schema file registers
+ *
+ * Collections and indexes are the descriptions given to register, not the
+ * built definitions, so mistakes the hyperdb builder would throw on are
+ * reported with the name of the collection or index instead.
+ * @param {Object} definitions
+ * @param {Object} definitions.schema - Schema JSON of the structs, like schemas/schema.json
+ * @param {Object[]} definitions.collections - Registered collections, with their namespace
+ * @param {Object[]} definitions.indexes - Registered indexes, with their namespace
+ * @param {Object} [options]
+ * @param {Object} [options.rules] - Severity of each rule id, overriding the defaults
+ * @returns {Array<{ rule: string, severity: string, name: string, message: string }>}
+ * Problems of every rule that is not off, errors first
+ * @example
+ * const problems = lintDefinitions(definitions, {
+ *   rules: { 'unused-struct': 'off' }
+ * })
+ */
+export function lintDefinitions(definitions, { rules = {} } = {}) {
+  const structs = new Map()
+  for (const type of definitions.schema.schema) {
+    if (type.fields && !type.alias) {
+      structs.set(getFullyQualifiedName(type), type)
+    }
+  }
+
+  const collections = new Map(
+    definitions.collections.map((collection) => [
+      getFullyQualifiedName(collection),
+      collection
+    ])
+  )
+
+  const problems = []
+  const report = (rule, name, message) => {
+    const severity = rules[rule] || lintRules[rule].severity
+    if (severity !== 'off') {
+      problems.push({ rule, severity, name, message })
+    }
+  }
+
+  for (const [name, collection] of collections) {
+    const struct = structs.get(collection.schema)
+    if (!struct) continue
+
+    for (const key of collection.key || []) {
+      const fields = resolveFieldPath(structs, struct, key)
+      if (!fields) {
+        report(
+          'collection-key-field',
+          name,
+          `Collection ${name} key ${key} is not a field of ${collection.schema}`
+        )
+      } else if (!fields.every((field) => field.required)) {
+        report(
+          'collection-key-required',
+          name,
+          `Collection ${name} key ${key} is not a required field of ${collection.schema}`
+        )
+      }
+    }
+  }
+
+  for (const index of definitions.indexes) {
+    const name = getFullyQualifiedName(index)
+
+    // Mapped indexes compute their keys, so there are no fields to check
+    if (!Array.isArray(index.key)) continue
+
+    const collection = collections.get(index.collection)
+    const struct = collection && structs.get(collection.schema)
+    if (!struct) continue
+
+    for (const key of index.key) {
+      const fields = resolveFieldPath(structs, struct, key)
+      if (!fields) {
+        report(
+          'index-key-field',
+          name,
+          `Index ${name} key ${key} is not a field of ${collection.schema}`
+        )
+      } else if (index.unique && !fields.every((field) => field.required)) {
+        report(
+          'unique-optional-field',
+          name,
+          `Unique index ${name} key ${key} is not a required field of ${collection.schema}`
+        )
+      }
+    }
+  }
+
+  const used = getUsedStructs(structs, definitions)
+  for (const name of structs.keys()) {
+    if (!used.has(name)) {
+      report(
+        'unused-struct',
+        name,
+        `Struct ${name} is not used by any collection or index`
+      )
+    }
+  }
+
+  return problems.sort(
+    (a, b) =>
+      lintSeverities.indexOf(b.severity) - lintSeverities.indexOf(a.severity)
+  )
+}
+
+/**
+ * Formats problems from lintDefinitions as one line each
+ * @param {Object[]} problems
+ * @returns {string}
+ */
+export function formatLintProblems(problems) {
+  if (!problems.length) {
+    return 'No problems found'
+  }
+
+  return problems
+    .map(
+      (problem) =>
+        `${problem.severity.padEnd(5)}  ${problem.message}  ${problem.rule}`
+    )
+    .join('\n')
+}
+
+// Fields along a dotted key path like author.id, or null if one is missing
+function resolveFieldPath(structs, struct, key) {
+  const fields = []
+  let current = struct
+
+  for (const component of key.split('.')) {
+    const field = current?.fields.find(({ name }) => name === component)
+    if (!field) return null
+
+    fields.push(field)
+    current = structs.get(field.type)
+  }
+
+  return fields
+}
+
+// Structs stored by collections or used as mapped index keys, and every
+// struct those refer to through their fields
+function getUsedStructs(structs, definitions) {
+  const used = new Set()
+  const pending = [
+    ...definitions.collections.map((collection) => collection.schema),
+    ...definitions.indexes
+      .filter((index) => typeof index.key?.type === 'string')
+      .map((index) => index.key.type)
+  ]
+
+  while (pending.length) {
+    const name = pending.pop()
+    if (used.has(name) || !structs.has(name)) continue
+
+    used.add(name)
+    for (const field of structs.get(name).fields) {
+      pending.push(field.type)
+    }
+  }
+
+  return used
+}
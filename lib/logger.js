@@ -0,0 +1,44 @@
+import { format } from 'util'
+
+// From quietest to most verbose
+export const logLevels = ['silent', 'error', 'warn', 'info', 'debug']
+
+/**
+ * Creates a logger that drops messages below its level
+ *
+ * Errors and warnings go to stderr, info and debug messages to stdout.
+ * @param {Object} [options]
+ * @param {string} [options.level] - One of silent, error, warn, info or debug (default: info)
+ * @param {Object} [options.stdout] - Writable stream for info and debug messages
+ * @param {Object} [options.stderr] - Writable stream for errors and warnings
+ * @returns {{ level: string, error: Function, warn: Function, info: Function, debug: Function }}
+ * @throws {Error} If the level is unknown
+ * @example
+ * const logger = createLogger({ level: 'debug' })
+ * logger.debug('Wrote %s', filepath)
+ */
+export function createLogger({
+  level = 'info',
+  stdout = process.stdout,
+  stderr = process.stderr
+} = {}) {
+  const threshold = logLevels.indexOf(level)
+  if (threshold === -1) {
+    throw new Error(
+      `Error: Unknown log level ${level}, expected one of ${logLevels.join(', ')}`
+    )
+  }
+
+  const method = (methodLevel, stream, prefix = '') => {
+    if (logLevels.indexOf(methodLevel) > threshold) return () => {}
+    return (...args) => stream.write(prefix + format(...args) + '\n')
+  }
+
+  return {
+    level,
+    error: method('error', stderr),
+    warn: method('warn', stderr, 'Warning: '),
+    info: method('info', stdout),
+    debug: method('debug', stdout)
+  }
+}
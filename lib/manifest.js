@@ -0,0 +1,248 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+import { createHash } from 'crypto'
+import { createRequire } from 'module'
+
+// Written to the generated code directory after every build
+export const manifestFilename = '.hyperdb-helper.json'
+
+const require = createRequire(import.meta.url)
+
+/**
+ * Hashes everything a build depends on
+ * @param {Object} inputs
+ * @param {Array<string|null>} inputs.schema - Hashes of each schema file and the local files it
+ * imports, or of the files of each schema package
+ * @param {string|null} inputs.functions - Hash of the functions file and the local files it
+ * imports, or null if there is none
+ * @param {Object} inputs.config - Resolved config values
+ * @returns {string} sha256 hash
+ */
+export function hashBuildInputs({ schema, functions, config }) {
+  return createHash('sha256')
+    .update(
+      JSON.stringify({
+        schema,
+        functions,
+        config,
+        versions: getBuilderVersions()
+      })
+    )
+    .digest('hex')
+}
+
+/**
+ * Reads the manifest of a generated code directory
+ * @param {string} generatedCodeDirectory
+ * @returns {Promise<{ inputs: string, files: Object, plugins: Object }|null>} The hash
+ * of the build inputs, the hash of each file written and the files each plugin emitted,
+ * by path relative to the generated code directory, or null if there is no readable manifest
+ */
+export async function readManifest(generatedCodeDirectory) {
+  try {
+    const manifest = JSON.parse(
+      await fs.readFile(
+        path.join(generatedCodeDirectory, manifestFilename),
+        'utf8'
+      )
+    )
+    return typeof manifest.inputs === 'string' && manifest.files
+      ? manifest
+      : null
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) return null
+    throw error
+  }
+}
+
+/**
+ * Writes the manifest of a generated code directory
+ * @param {string} generatedCodeDirectory
+ * @param {string} inputs - Hash from hashBuildInputs
+ * @param {Array<{ filepath: string, hash: string, plugin?: string }>} files - Absolute paths
+ * of the files written, with their hashes and the plugin that emitted them, if any
+ * @returns {Promise<void>}
+ */
+export async function writeManifest(generatedCodeDirectory, inputs, files) {
+  const manifest = { inputs, files: {}, plugins: {} }
+  for (const { filepath, hash, plugin } of files) {
+    const relativePath = path
+      .relative(generatedCodeDirectory, filepath)
+      .replaceAll('\\', '/')
+    manifest.files[relativePath] = hash
+    if (plugin) {
+      manifest.plugins[plugin] ||= []
+      manifest.plugins[plugin].push(relativePath)
+    }
+  }
+
+  await fs.writeFile(
+    path.join(generatedCodeDirectory, manifestFilename),
+    JSON.stringify(manifest, null, 2) + '\n'
+  )
+}
+
+/**
+ * Checks whether the files recorded in a manifest are still as they were written
+ * @param {string} generatedCodeDirectory
+ * @param {Object} manifest - Manifest from readManifest
+ * @returns {Promise<boolean>}
+ */
+export async function verifyManifestFiles(generatedCodeDirectory, manifest) {
+  for (const [filepath, hash] of Object.entries(manifest.files)) {
+    let content
+    try {
+      content = await fs.readFile(
+        path.resolve(generatedCodeDirectory, filepath)
+      )
+    } catch (error) {
+      if (error.code === 'ENOENT') return false
+      throw error
+    }
+
+    if (createHash('sha256').update(content).digest('hex') !== hash) {
+      return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * Hashes every file of the package a schema package entry point belongs to,
+ * so edits to the files it imports are noticed too
+ * @param {string} entryFilepath - Resolved entry point of the package
+ * @returns {Promise<string>} sha256 hash of the path and contents of each file,
+ * leaving out node_modules and hidden files
+ */
+export async function hashPackageFiles(entryFilepath) {
+  const packageDirectory = await findPackageDirectory(entryFilepath)
+  const hash = createHash('sha256')
+
+  const visit = async (directory) => {
+    const entries = await fs.readdir(directory, { withFileTypes: true })
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue
+
+      const filepath = path.join(directory, entry.name)
+      if (entry.isDirectory()) {
+        await visit(filepath)
+      } else if (entry.isFile()) {
+        hash.update(path.relative(packageDirectory, filepath) + '\0')
+        hash.update(await fs.readFile(filepath))
+        hash.update('\0')
+      }
+    }
+  }
+  await visit(packageDirectory)
+
+  return hash.digest('hex')
+}
+
+/**
+ * Hashes a source file and the local files it imports, following relative
+ * imports, exports and requires from file to file. Packages it imports are
+ * left out.
+ * @param {string} entryFilepath - Path to the schema or functions file
+ * @returns {Promise<string|null>} sha256 hash of the path and contents of
+ * each file, or null if the entry file does not exist
+ */
+export async function hashSourceFiles(entryFilepath) {
+  const hash = createHash('sha256')
+  const visited = new Set()
+  const pending = [entryFilepath]
+
+  while (pending.length) {
+    const filepath = pending.shift()
+    if (visited.has(filepath)) continue
+    visited.add(filepath)
+
+    let content
+    try {
+      content = await fs.readFile(filepath, 'utf8')
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+      if (filepath === entryFilepath) return null
+      continue
+    }
+
+    hash.update(path.relative(path.dirname(entryFilepath), filepath) + '\0')
+    hash.update(content)
+    hash.update('\0')
+
+    if (!SourceExtensions.includes(path.extname(filepath))) continue
+    for (const specifier of findRelativeImports(content)) {
+      const resolved = await resolveLocalImport(
+        path.resolve(path.dirname(filepath), specifier)
+      )
+      if (resolved) pending.push(resolved)
+    }
+  }
+
+  return hash.digest('hex')
+}
+
+const SourceExtensions = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts']
+
+// Specifiers starting with ./ or ../ in import and export statements, dynamic
+// imports and requires
+const ImportPattern =
+  /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)(['"])(\.{1,2}\/[^'"]*)\1/g
+
+function findRelativeImports(content) {
+  return [...content.matchAll(ImportPattern)].map((match) => match[2])
+}
+
+// The file an import resolves to, trying the extensions and index files
+// CommonJS would, or null if there is none
+async function resolveLocalImport(filepath) {
+  const candidates = [
+    filepath,
+    ...SourceExtensions.map((extension) => filepath + extension),
+    filepath + '.json',
+    ...SourceExtensions.map((extension) =>
+      path.join(filepath, 'index' + extension)
+    )
+  ]
+
+  for (const candidate of candidates) {
+    try {
+      if ((await fs.stat(candidate)).isFile()) return candidate
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error
+    }
+  }
+
+  return null
+}
+
+// The closest directory above a file with a package.json, or the file's own
+// directory if there is none
+async function findPackageDirectory(filepath) {
+  let directory = path.dirname(filepath)
+  while (directory !== path.dirname(directory)) {
+    try {
+      await fs.access(path.join(directory, 'package.json'))
+      return directory
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+    directory = path.dirname(directory)
+  }
+  return path.dirname(filepath)
+}
+
+/**
+ * Versions of the packages generating the code, including this one
+ * @returns {{ hyperdb: string, hyperschema: string, 'hyperdb-helper': string }}
+ */
+export function getBuilderVersions() {
+  const versions = {}
+  for (const name of ['hyperdb', 'hyperschema']) {
+    versions[name] = require(`${name}/package.json`).version
+  }
+  versions['hyperdb-helper'] = require('../package.json').version
+  return versions
+}
@@ -0,0 +1,198 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+import { pathToFileURL } from 'url'
+
+import { COLLECTION_TYPE, getFullyQualifiedName } from './definitions.js'
+import { getStructs, stringifyRecord, validateRecord } from './records.js'
+
+// Migration files start with their version number, like 001-add-bio.js
+const MIGRATION_FILENAME = /^(\d+).*\.(c|m)?js$/
+
+const MIGRATION_VERSION_KEY = 'hyperdb-helper/migration'
+
+/**
+ * Loads the migration modules in a directory, ordered by version
+ *
+ * Each module default exports an object keyed by collection name, holding
+ * an up(record, ctx) function that returns the migrated record, or null to
+ * leave the record out.
+ * @param {string} directory - The migrations directory
+ * @returns {Promise<Array<{ version: number, name: string, collections: Object }>>}
+ * @throws {Error} If two migrations share a version or a migration has no up function
+ */
+export async function loadMigrations(directory) {
+  let filenames = []
+  try {
+    filenames = await fs.readdir(directory)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+
+  const migrations = []
+  for (const filename of filenames) {
+    const match = filename.match(MIGRATION_FILENAME)
+    if (!match) continue
+
+    const filepath = path.join(directory, filename)
+    const module = await import(pathToFileURL(filepath).href)
+    const collections = module.default || {}
+
+    for (const [collection, migration] of Object.entries(collections)) {
+      if (typeof migration?.up !== 'function') {
+        throw new Error(
+          `Error: Migration ${filename} has no up function for ${collection}`
+        )
+      }
+    }
+
+    migrations.push({ version: Number(match[1]), name: filename, collections })
+  }
+
+  migrations.sort((a, b) => a.version - b.version)
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(
+        `Error: Migrations ${migrations[i - 1].name} and ${migrations[i].name} share version ${migrations[i].version}`
+      )
+    }
+  }
+
+  return migrations
+}
+
+/**
+ * Reads the version of the last migration applied to a database
+ * @param {Object} db - An open HyperDB instance
+ * @returns {Promise<number>} The version, or 0 if no migration was applied
+ */
+export async function getMigrationVersion(db) {
+  const value = await db.core.getUserData(MIGRATION_VERSION_KEY)
+  return value ? Number(value.toString()) : 0
+}
+
+/**
+ * Records the version of the last migration applied to a database
+ * @param {Object} db - An open HyperDB instance
+ * @param {number} version
+ */
+export async function setMigrationVersion(db, version) {
+  await db.core.setUserData(MIGRATION_VERSION_KEY, Buffer.from(String(version)))
+}
+
+/**
+ * Reads every record of the source database, runs it through the pending
+ * migrations of its collection and inserts the result into the target
+ * database in a single transaction
+ * @param {Object} options
+ * @param {Object} options.source - HyperDB opened with the old definitions
+ * @param {Object} options.sourceDbJson - The old db.json
+ * @param {Object} options.target - HyperDB opened with the current definitions
+ * @param {Object} options.schemaJson - The current schema.json
+ * @param {Object} options.dbJson - The current db.json
+ * @param {Object[]} options.migrations - Pending migrations from loadMigrations()
+ * @param {boolean} [options.dryRun] - Run the migrations without writing anything
+ * @returns {Promise<{ migrations: Object[], collections: Object, errors: Object[] }>}
+ */
+export async function migrateRecords({
+  source,
+  sourceDbJson,
+  target,
+  schemaJson,
+  dbJson,
+  migrations,
+  dryRun = false
+}) {
+  const structs = getStructs(schemaJson)
+  const targetCollections = new Map(
+    getCollections(dbJson).map((type) => [getFullyQualifiedName(type), type])
+  )
+
+  const report = {
+    migrations: migrations.map(({ version, name }) => ({
+      version,
+      name,
+      collections: {}
+    })),
+    collections: {},
+    errors: []
+  }
+
+  const tx = dryRun ? null : target.transaction()
+
+  for (const type of getCollections(sourceDbJson)) {
+    const name = getFullyQualifiedName(type)
+    const targetCollection = targetCollections.get(name)
+    const counts = { read: 0, migrated: 0, removed: 0 }
+    report.collections[name] = counts
+
+    for await (const sourceRecord of source.find(name)) {
+      counts.read++
+
+      let record = sourceRecord
+      for (let i = 0; i < migrations.length && record; i++) {
+        const migration = migrations[i].collections[name]
+        if (!migration) continue
+
+        const touched = (report.migrations[i].collections[name] ??= {
+          records: 0,
+          changed: 0,
+          removed: 0
+        })
+        touched.records++
+
+        const before = stringifyRecord(record)
+        record = await migration.up(record, {
+          collection: name,
+          version: migrations[i].version,
+          source
+        })
+
+        if (!record) {
+          touched.removed++
+        } else if (stringifyRecord(record) !== before) {
+          touched.changed++
+        }
+      }
+
+      if (!record) {
+        counts.removed++
+        continue
+      }
+
+      const location = `${name} record ${counts.read}`
+
+      if (!targetCollection) {
+        report.errors.push({
+          location,
+          collection: name,
+          errors: [`${name} does not exist in the current definitions`]
+        })
+        continue
+      }
+
+      const errors = validateRecord(record, targetCollection.schema, structs)
+      if (errors.length) {
+        report.errors.push({ location, collection: name, errors })
+        continue
+      }
+
+      if (tx) await tx.insert(name, record)
+      counts.migrated++
+    }
+  }
+
+  if (tx) {
+    if (report.errors.length) {
+      await tx.close()
+    } else {
+      await tx.flush()
+    }
+  }
+
+  return report
+}
+
+function getCollections(dbJson) {
+  return dbJson.schema.filter((type) => type.type === COLLECTION_TYPE)
+}
@@ -0,0 +1,165 @@
+import dedent from 'string-dedent'
+
+const HEADER = '// This file is autogenerated by hyperdb-helper\n'
+
+// Storage a database can be opened with: a Hyperbee on a Corestore, or a
+// local RocksDB
+export const backends = ['bee', 'rocks']
+
+/**
+ * Generates the open module of the generated package, exporting openDatabase
+ *
+ * The defaults come from the config, so the module opens the same database
+ * as the seed, query and repl commands.
+ * @param {Object} options
+ * @param {string} [options.moduleType] - Module type of the generated code
+ * @param {string} options.backend - Default backend, one of backends
+ * @param {string} options.storage - Default storage directory
+ * @param {string} options.name - Default name of the core or RocksDB directory
+ * @param {string} [options.definitionsPath] - Import path of the database definitions
+ * @returns {string} Contents of open.js, or of open.cjs with definitionsPath pointing at the .cjs definitions
+ */
+export function generateOpenCode({
+  moduleType,
+  backend,
+  storage,
+  name,
+  definitionsPath = './database/index.js'
+}) {
+  const defaults = dedent`
+    const defaults = {
+      backend: ${quote(backend)},
+      storage: ${quote(storage)},
+      name: ${quote(name)}
+    }
+  `
+
+  const body = (loadCorestore) => dedent`
+    /**
+     * Opens the database with the generated definitions, ready to use
+     *
+     * The bee backend keeps the database in a Hyperbee on a Corestore, the rocks
+     * backend in a RocksDB directory named after the database in storage.
+     * Closing the database also closes the storage it opened.
+     * @param {Object} [options]
+     * @param {string} [options.storage] - Storage directory (default: ${storage})
+     * @param {string} [options.backend] - bee or rocks (default: ${backend})
+     * @param {string} [options.name] - Name of the core or RocksDB directory (default: ${name})
+     * @param {boolean} [options.readonly] - Refuse writes
+     * @returns {Promise<HyperDB>}
+     */
+    async function openDatabase ({
+      storage = defaults.storage,
+      backend = defaults.backend,
+      name = defaults.name,
+      readonly = false
+    } = {}) {
+      if (backend === 'rocks') {
+        const db = HyperDB.rocks(path.join(storage, name), definitions, {
+          writable: !readonly
+        })
+        await db.ready()
+        return db
+      }
+
+      if (backend !== 'bee') {
+        throw new Error(\`Unknown backend \${backend}, expected bee or rocks\`)
+      }
+
+      // Corestore is only needed by the bee backend
+      ${loadCorestore}
+      const store = new Corestore(storage, { writable: !readonly })
+      const db = HyperDB.bee(store.get({ name }), definitions, {
+        writable: !readonly
+      })
+
+      try {
+        await db.ready()
+      } catch (error) {
+        await store.close()
+        throw error
+      }
+
+      const close = db.close.bind(db)
+      db.close = async () => {
+        await close()
+        await store.close()
+      }
+
+      return db
+    }
+  `
+
+  if (moduleType === 'module') {
+    return (
+      HEADER +
+      dedent`
+        import path from 'path'
+        import HyperDB from 'hyperdb'
+
+        import definitions from '${definitionsPath}'
+
+        ${defaults}
+
+        ${body("const { default: Corestore } = await import('corestore')")}
+
+        export { openDatabase }
+        export default openDatabase
+      ` +
+      '\n'
+    )
+  }
+
+  return (
+    HEADER +
+    dedent`
+      const path = require('path')
+      const HyperDB = require('hyperdb')
+
+      const definitions = require('${definitionsPath}')
+
+      ${defaults}
+
+      ${body("const Corestore = require('corestore')")}
+
+      module.exports = { openDatabase }
+    ` +
+    '\n'
+  )
+}
+
+/**
+ * Generates the declaration file for the open module
+ * @param {Object} [options]
+ * @param {string} [options.moduleType] - Module type of the generated code, ES modules also have a default export
+ * @returns {string} Contents of open.d.ts
+ */
+export function generateOpenTypes({ moduleType } = {}) {
+  let str =
+    HEADER +
+    '\n' +
+    dedent`
+      import type { Database } from './database/index.js'
+
+      export interface OpenOptions {
+        storage?: string
+        backend?: 'bee' | 'rocks'
+        name?: string
+        readonly?: boolean
+      }
+
+      export function openDatabase(options?: OpenOptions): Promise<Database>
+    ` +
+    '\n'
+
+  if (moduleType === 'module') {
+    str += '\nexport default openDatabase\n'
+  }
+
+  return str
+}
+
+// A single-quoted string literal, as the rest of the generated code uses
+function quote(value) {
+  return `'${value.replaceAll('\\', '\\\\').replaceAll("'", "\\'")}'`
+}
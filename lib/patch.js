@@ -0,0 +1,196 @@
+// Past this many cells the changed lines are shown as replaced wholesale
+// instead of computing the longest common subsequence
+const MAX_TABLE_SIZE = 4_000_000
+
+const NO_NEWLINE = '\\ No newline at end of file'
+
+/**
+ * Creates a unified diff of two versions of a file, like `diff -u`
+ * @param {string} filepath - Path shown in the diff headers
+ * @param {string|null} previous - Current contents, or null if the file does not exist
+ * @param {string|null} next - New contents, or null if the file would be removed
+ * @param {Object} [options]
+ * @param {number} [options.context] - Unchanged lines shown around each change (default: 3)
+ * @returns {string} The diff, or an empty string if the contents are the same
+ * @example
+ * createUnifiedDiff('generated/package.json', before, after)
+ * // --- a/generated/package.json
+ * // +++ b/generated/package.json
+ * // @@ -1 +1 @@
+ * // ...
+ */
+export function createUnifiedDiff(
+  filepath,
+  previous,
+  next,
+  { context = 3 } = {}
+) {
+  if (previous === next) return ''
+
+  const operations = diffLines(splitLines(previous), splitLines(next))
+  const lines = [
+    previous === null ? '--- /dev/null' : `--- a/${filepath}`,
+    next === null ? '+++ /dev/null' : `+++ b/${filepath}`
+  ]
+
+  for (const hunk of getHunks(operations, context)) {
+    lines.push(
+      `@@ -${formatRange(hunk.previousStart, hunk.previousLength)} +${formatRange(hunk.nextStart, hunk.nextLength)} @@`
+    )
+    for (const { type, line } of hunk.operations) {
+      lines.push(type + line.text)
+      if (line.noNewline) lines.push(NO_NEWLINE)
+    }
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+function splitLines(text) {
+  if (text === null || text === '') return []
+
+  const lines = text.split('\n').map((text) => ({ text, noNewline: false }))
+  if (text.endsWith('\n')) {
+    lines.pop()
+  } else {
+    lines[lines.length - 1].noNewline = true
+  }
+  return lines
+}
+
+function isSameLine(a, b) {
+  return a.text === b.text && a.noNewline === b.noNewline
+}
+
+// Lines as operations: ' ' unchanged, '-' removed and '+' added
+function diffLines(previous, next) {
+  let start = 0
+  while (
+    start < previous.length &&
+    start < next.length &&
+    isSameLine(previous[start], next[start])
+  ) {
+    start++
+  }
+
+  let previousEnd = previous.length
+  let nextEnd = next.length
+  while (
+    previousEnd > start &&
+    nextEnd > start &&
+    isSameLine(previous[previousEnd - 1], next[nextEnd - 1])
+  ) {
+    previousEnd--
+    nextEnd--
+  }
+
+  const unchanged = (line) => ({ type: ' ', line })
+  return [
+    ...previous.slice(0, start).map(unchanged),
+    ...diffMiddle(
+      previous.slice(start, previousEnd),
+      next.slice(start, nextEnd)
+    ),
+    ...previous.slice(previousEnd).map(unchanged)
+  ]
+}
+
+function diffMiddle(previous, next) {
+  const removed = (line) => ({ type: '-', line })
+  const added = (line) => ({ type: '+', line })
+
+  const width = next.length + 1
+  if ((previous.length + 1) * width > MAX_TABLE_SIZE) {
+    return [...previous.map(removed), ...next.map(added)]
+  }
+
+  // Length of the longest common subsequence of the remaining lines
+  const table = new Uint32Array((previous.length + 1) * width)
+  for (let i = previous.length - 1; i >= 0; i--) {
+    for (let j = next.length - 1; j >= 0; j--) {
+      table[i * width + j] = isSameLine(previous[i], next[j])
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1])
+    }
+  }
+
+  const operations = []
+  let i = 0
+  let j = 0
+  while (i < previous.length && j < next.length) {
+    if (isSameLine(previous[i], next[j])) {
+      operations.push({ type: ' ', line: previous[i] })
+      i++
+      j++
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      operations.push(removed(previous[i++]))
+    } else {
+      operations.push(added(next[j++]))
+    }
+  }
+  operations.push(
+    ...previous.slice(i).map(removed),
+    ...next.slice(j).map(added)
+  )
+
+  return operations
+}
+
+function getHunks(operations, context) {
+  const hunks = []
+  let previousLine = 1
+  let nextLine = 1
+  let hunk = null
+  let unchangedRun = 0
+
+  for (let i = 0; i < operations.length; i++) {
+    const operation = operations[i]
+
+    if (operation.type !== ' ') {
+      if (!hunk) {
+        // Start with up to `context` unchanged lines before the change
+        const before = operations.slice(Math.max(0, i - context), i)
+        hunk = {
+          previousStart: previousLine - before.length,
+          nextStart: nextLine - before.length,
+          operations: before
+        }
+        hunks.push(hunk)
+      }
+      unchangedRun = 0
+      hunk.operations.push(operation)
+    } else if (hunk) {
+      unchangedRun++
+      hunk.operations.push(operation)
+
+      // Close the hunk once the next change is too far away to join it
+      if (unchangedRun >= context) {
+        const nextChange = operations.findIndex(
+          (next, j) => j > i && next.type !== ' '
+        )
+        if (nextChange === -1 || nextChange - i > context + 1) {
+          hunk = null
+          unchangedRun = 0
+        }
+      }
+    }
+
+    if (operation.type !== '+') previousLine++
+    if (operation.type !== '-') nextLine++
+  }
+
+  for (const hunk of hunks) {
+    hunk.previousLength = hunk.operations.filter(
+      ({ type }) => type !== '+'
+    ).length
+    hunk.nextLength = hunk.operations.filter(({ type }) => type !== '-').length
+  }
+
+  return hunks
+}
+
+// Ranges of empty hunks start at the line before, as diff -u prints them
+function formatRange(start, length) {
+  if (length === 1) return String(start)
+  return `${length === 0 ? start - 1 : start},${length}`
+}
@@ -0,0 +1,62 @@
+// Hooks a plugin may define, in the order build calls them
+export const pluginHooks = [
+  'beforeBuild',
+  'afterSchema',
+  'afterDatabase',
+  'afterBuild'
+]
+
+/**
+ * Checks the plugins config, as set in config.js
+ * @param {Object[]} plugins - Plugins, each with a name and any of the hooks
+ * @returns {string[]} Problems, naming the offending plugin
+ */
+export function validatePluginsConfig(plugins) {
+  const errors = []
+  const names = new Set()
+
+  plugins.forEach((plugin, i) => {
+    const label = `plugins[${i}]`
+    if (
+      typeof plugin !== 'object' ||
+      plugin === null ||
+      Array.isArray(plugin)
+    ) {
+      errors.push(`${label} must be an object`)
+      return
+    }
+    if (typeof plugin.name !== 'string' || !plugin.name) {
+      errors.push(`${label} must have a name`)
+    } else if (names.has(plugin.name)) {
+      errors.push(`${label} has the name ${plugin.name} of another plugin`)
+    }
+    names.add(plugin.name)
+
+    for (const [key, value] of Object.entries(plugin)) {
+      if (key === 'name') continue
+      if (!pluginHooks.includes(key)) {
+        errors.push(`${label} has unknown hook ${key}`)
+      } else if (typeof value !== 'function') {
+        errors.push(`${label}.${key} must be a function`)
+      }
+    }
+  })
+
+  return errors
+}
+
+/**
+ * Describes plugins by their name and the source of their hooks, so a build
+ * can tell when a plugin changed
+ * @param {Object[]} plugins
+ * @returns {Array<{ name: string, hooks: Object }>}
+ */
+export function describePlugins(plugins) {
+  return plugins.map((plugin) => {
+    const hooks = {}
+    for (const hook of pluginHooks) {
+      if (plugin[hook]) hooks[hook] = String(plugin[hook])
+    }
+    return { name: plugin.name, hooks }
+  })
+}
@@ -0,0 +1,169 @@
+import {
+  COLLECTION_TYPE,
+  INDEX_TYPE,
+  getFullyQualifiedName
+} from './definitions.js'
+import { reviveRecord, stringifyRecord } from './records.js'
+import { formatTable } from './table.js'
+
+const RANGE_OPTIONS = ['gt', 'gte', 'lt', 'lte']
+
+/**
+ * Looks up a collection or index in the generated db.json
+ *
+ * Range keys of an index are its own key fields followed by the key fields
+ * of its collection, since those are appended to every index entry. Mapped
+ * indexes are queried with the mapped value itself, so they have no key fields.
+ * @param {Object} dbJson - Contents of database/db.json
+ * @param {string} name - Fully qualified name, like @example/by_type
+ * @returns {{ name: string, collection: Object, index: Object|null, keyFields: string[]|null }}
+ * @throws {Error} If there is no collection or index with that name
+ */
+export function resolveQueryTarget(dbJson, name) {
+  const types = new Map(
+    dbJson.schema.map((type) => [getFullyQualifiedName(type), type])
+  )
+
+  const type = types.get(name)
+  if (!type) {
+    throw new Error(`Error: Unknown collection or index ${name}`)
+  }
+
+  if (type.type === COLLECTION_TYPE) {
+    return { name, collection: type, index: null, keyFields: type.key }
+  }
+
+  if (type.type !== INDEX_TYPE) {
+    throw new Error(`Error: ${name} is not a collection or index`)
+  }
+
+  const collection = types.get(type.collection)
+  const keyFields = Array.isArray(type.key)
+    ? [...new Set([...type.key, ...collection.key])]
+    : null
+
+  return { name, collection, index: type, keyFields }
+}
+
+/**
+ * Turns command line options into a key for db.get or a query for db.find,
+ * checking the keys against the key fields of the collection or index
+ * @param {Object} target - From resolveQueryTarget()
+ * @param {Object} options
+ * @param {*} [options.get] - Key to get, as JSON or an already parsed value
+ * @param {*} [options.gt] - Lower bound, exclusive
+ * @param {*} [options.gte] - Lower bound, inclusive
+ * @param {*} [options.lt] - Upper bound, exclusive
+ * @param {*} [options.lte] - Upper bound, inclusive
+ * @param {boolean} [options.reverse] - Return the records in reverse order
+ * @param {number} [options.limit] - Maximum number of records
+ * @param {Map<string, Object>} structs - Structs from getStructs()
+ * @returns {{ get: *, query: Object|null }}
+ * @throws {Error} If a key is not valid JSON or does not match the key fields
+ */
+export function parseQueryOptions(target, options, structs) {
+  const ranges = RANGE_OPTIONS.filter((option) => options[option] !== undefined)
+
+  if (options.get !== undefined) {
+    if (ranges.length) {
+      throw new Error(
+        `Error: --get cannot be combined with ${ranges.map((option) => `--${option}`).join(', ')}`
+      )
+    }
+
+    // An index is looked up by its own key fields, the collection key
+    // appended to its entries is not needed to get one
+    const key = parseKey(target, 'get', options.get, structs)
+    let required = target.keyFields || []
+    if (target.index) {
+      required = Array.isArray(target.index.key) ? target.index.key : []
+    }
+    const missing = required.filter((field) => key[field] === undefined)
+    if (missing.length) {
+      throw new Error(
+        `Error: --get is missing ${missing.join(', ')} of ${target.name}`
+      )
+    }
+
+    return { get: key, query: null }
+  }
+
+  const query = {}
+  for (const option of ranges) {
+    query[option] = parseKey(target, option, options[option], structs)
+  }
+
+  if (options.reverse) query.reverse = true
+
+  if (options.limit !== undefined) {
+    const limit = Number(options.limit)
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error('Error: --limit must be a non-negative integer')
+    }
+    query.limit = limit
+  }
+
+  return { get: null, query }
+}
+
+/**
+ * Formats records as a table with a column for every field that is set
+ * @param {Object[]} records
+ * @returns {string}
+ */
+export function formatRecords(records) {
+  const rows = records.map((record) => JSON.parse(stringifyRecord(record)))
+  const headers = [...new Set(rows.flatMap((row) => Object.keys(row)))]
+
+  return formatTable(
+    headers,
+    rows.map((row) =>
+      headers.map((header) =>
+        typeof row[header] === 'object' && row[header] !== null
+          ? JSON.stringify(row[header])
+          : row[header]
+      )
+    )
+  )
+}
+
+function parseKey(target, option, value, structs) {
+  let key = value
+  if (typeof value === 'string') {
+    try {
+      key = JSON.parse(value)
+    } catch {
+      throw new Error(`Error: --${option} must be JSON, got ${value}`)
+    }
+  }
+
+  // A mapped index is keyed by whatever its map function returns
+  if (!target.keyFields) return key
+
+  if (typeof key !== 'object' || key === null || Array.isArray(key)) {
+    throw new Error(
+      `Error: --${option} must be an object with key fields of ${target.name}: ${target.keyFields.join(', ')}`
+    )
+  }
+
+  const unknown = Object.keys(key).filter(
+    (field) => !target.keyFields.includes(field)
+  )
+  if (unknown.length) {
+    throw new Error(
+      `Error: --${option} uses ${unknown.join(', ')}, key fields of ${target.name} are ${target.keyFields.join(', ')}`
+    )
+  }
+
+  // Keys are compared field by field, so a field after a missing one would be
+  // silently ignored
+  const given = target.keyFields.map((field) => key[field] !== undefined)
+  const gap = given.indexOf(false)
+  if (gap !== -1 && given.indexOf(true, gap) !== -1) {
+    throw new Error(
+      `Error: --${option} sets ${target.keyFields[given.indexOf(true, gap)]} without ${target.keyFields[gap]}, key fields of ${target.name} must be given in order: ${target.keyFields.join(', ')}`
+    )
+  }
+
+  return reviveRecord(key, target.collection.schema, structs)
+}
@@ -0,0 +1,228 @@
+import { getFullyQualifiedName } from './definitions.js'
+
+const IntegerTypes = new Set([
+  'uint',
+  'uint8',
+  'uint16',
+  'uint24',
+  'uint32',
+  'uint40',
+  'uint48',
+  'uint56',
+  'uint64',
+  'int',
+  'int8',
+  'int16',
+  'int24',
+  'int32',
+  'int40',
+  'int48',
+  'int56',
+  'int64',
+  'lexint'
+])
+const FloatTypes = new Set(['float32', 'float64'])
+const StringTypes = new Set(['string', 'utf8', 'ascii', 'hex'])
+const BigIntTypes = new Set(['bigint', 'biguint64', 'bigint64'])
+const BufferTypes = new Set(['fixed32', 'fixed64', 'buffer', 'raw'])
+const FixedLengths = new Map([
+  ['fixed32', 32],
+  ['fixed64', 64]
+])
+
+// Whole bytes only, Buffer.from would silently drop anything after the
+// first invalid digit or an odd one out
+const HexPattern = /^([0-9a-f]{2})*$/i
+
+/**
+ * Indexes the structs of a generated schema.json by fully qualified name
+ * @param {Object} schemaJson - Contents of schemas/schema.json
+ * @returns {Map<string, Object>}
+ */
+export function getStructs(schemaJson) {
+  return new Map(
+    schemaJson.schema.map((type) => [getFullyQualifiedName(type), type])
+  )
+}
+
+/**
+ * Checks a record against its struct before it is inserted
+ * @param {Object} record - The record to check
+ * @param {string} structName - Fully qualified name of the struct, like @example/post
+ * @param {Map<string, Object>} structs - Structs from getStructs()
+ * @param {string} [prefix] - Prepended to field names in error messages
+ * @returns {string[]} Validation errors, empty when the record is valid
+ */
+export function validateRecord(record, structName, structs, prefix = '') {
+  const struct = structs.get(structName)
+
+  if (!isObject(record)) {
+    return [`${prefix || 'record'} must be an object`]
+  }
+
+  const errors = []
+  const fieldsByName = new Map(
+    struct.fields.map((field) => [field.name, field])
+  )
+
+  for (const field of struct.fields) {
+    const name = prefix + field.name
+    const value = record[field.name]
+
+    if (value === undefined || value === null) {
+      if (field.required) errors.push(`${name} is required`)
+      continue
+    }
+
+    if (field.array) {
+      if (!Array.isArray(value)) {
+        errors.push(`${name} must be an array`)
+        continue
+      }
+      value.forEach((item, i) => {
+        errors.push(
+          ...validateValue(item, field.type, structs, `${name}[${i}]`)
+        )
+      })
+      continue
+    }
+
+    errors.push(...validateValue(value, field.type, structs, name))
+  }
+
+  for (const key of Object.keys(record)) {
+    if (!fieldsByName.has(key)) {
+      errors.push(`${prefix + key} is not a field of ${structName}`)
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Restores values that do not survive JSON, like buffers serialized as hex
+ * strings or { type: 'Buffer', data: [...] } and bigints serialized as strings
+ * @param {Object} record - A record parsed from JSON
+ * @param {string} structName - Fully qualified name of the struct
+ * @param {Map<string, Object>} structs - Structs from getStructs()
+ * @returns {Object} A copy of the record with revived values
+ */
+export function reviveRecord(record, structName, structs) {
+  const struct = structs.get(structName)
+  if (!struct || !isObject(record)) return record
+
+  const revived = { ...record }
+  for (const field of struct.fields) {
+    const value = revived[field.name]
+    if (value === undefined || value === null) continue
+
+    revived[field.name] =
+      field.array && Array.isArray(value)
+        ? value.map((item) => reviveValue(item, field.type, structs))
+        : reviveValue(value, field.type, structs)
+  }
+
+  return revived
+}
+
+/**
+ * Converts a record to JSON, the inverse of reviveRecord
+ * @param {Object} record
+ * @returns {string}
+ */
+export function stringifyRecord(record) {
+  return JSON.stringify(record, function (key, value) {
+    // Buffers define toJSON, so check the original value
+    const original = this[key]
+    if (original instanceof Uint8Array) {
+      return Buffer.from(original).toString('hex')
+    }
+    if (typeof value === 'bigint') {
+      return value.toString()
+    }
+    return value
+  })
+}
+
+function validateValue(value, type, structs, name) {
+  if (structs.has(type)) {
+    const struct = structs.get(type)
+    if (struct.alias) return validateValue(value, struct.alias, structs, name)
+    return validateRecord(value, type, structs, `${name}.`)
+  }
+
+  if (IntegerTypes.has(type)) {
+    if (!Number.isInteger(value)) return [`${name} must be an integer`]
+    if ((type.startsWith('uint') || type === 'lexint') && value < 0) {
+      return [`${name} must not be negative`]
+    }
+    return []
+  }
+
+  if (FloatTypes.has(type)) {
+    return typeof value === 'number' ? [] : [`${name} must be a number`]
+  }
+
+  if (StringTypes.has(type)) {
+    return typeof value === 'string' ? [] : [`${name} must be a string`]
+  }
+
+  if (BigIntTypes.has(type)) {
+    return typeof value === 'bigint' ? [] : [`${name} must be a bigint`]
+  }
+
+  if (BufferTypes.has(type)) {
+    if (typeof value === 'string') return [`${name} is not valid hex`]
+    if (!(value instanceof Uint8Array)) return [`${name} must be a buffer`]
+    if (FixedLengths.has(type) && value.length !== FixedLengths.get(type)) {
+      return [`${name} must be ${FixedLengths.get(type)} bytes`]
+    }
+    return []
+  }
+
+  if (type === 'bool') {
+    return typeof value === 'boolean' ? [] : [`${name} must be a boolean`]
+  }
+
+  return []
+}
+
+function reviveValue(value, type, structs) {
+  if (structs.has(type)) {
+    const struct = structs.get(type)
+    if (struct.alias) return reviveValue(value, struct.alias, structs)
+    return reviveRecord(value, type, structs)
+  }
+
+  if (BufferTypes.has(type)) {
+    if (
+      isObject(value) &&
+      value.type === 'Buffer' &&
+      Array.isArray(value.data)
+    ) {
+      return Buffer.from(value.data)
+    }
+    // Invalid hex is left as it is, so validation reports the field
+    if (typeof value === 'string' && HexPattern.test(value)) {
+      return Buffer.from(value, 'hex')
+    }
+  }
+
+  if (BigIntTypes.has(type)) {
+    if (typeof value === 'string' || typeof value === 'number') {
+      // Values that are not integers are left as they are, so validation
+      // reports the field like any other invalid value
+      try {
+        return BigInt(value)
+      } catch {
+        return value
+      }
+    }
+  }
+
+  return value
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
@@ -0,0 +1,138 @@
+import * as repl from 'repl'
+import { inspect } from 'util'
+
+import {
+  COLLECTION_TYPE,
+  INDEX_TYPE,
+  getFullyQualifiedName
+} from './definitions.js'
+
+const QUERY_OPTIONS = ['gt', 'gte', 'lt', 'lte', 'limit', 'reverse']
+
+/**
+ * Starts a REPL with an open database in its context
+ * @param {Object} options
+ * @param {Object} options.db - An open HyperDB instance
+ * @param {Object} options.definitions - The generated definitions the database was opened with
+ * @param {Object} options.dbJson - Contents of database/db.json
+ * @param {Object} [options.input] - Readable stream (default: process.stdin)
+ * @param {Object} [options.output] - Writable stream (default: process.stdout)
+ * @param {Function} [options.close] - Called on exit, once pending commands have finished
+ * @returns {Object} The REPL server
+ */
+export function startRepl({ db, definitions, dbJson, input, output, close }) {
+  const collections = getNames(dbJson, COLLECTION_TYPE)
+  const indexes = getNames(dbJson, INDEX_TYPE)
+  const names = [...collections, ...indexes]
+
+  const server = repl.start({
+    prompt: 'hyperdb> ',
+    input,
+    output,
+    useGlobal: false
+  })
+
+  server.context.db = db
+  server.context.definitions = definitions
+
+  const print = (value) => {
+    server.output.write(
+      inspect(value, { colors: server.useColors, depth: null }) + '\n'
+    )
+  }
+
+  // Commands run one after another, so piped input prints in order and the
+  // database is not closed while a query is still streaming
+  let pending = Promise.resolve()
+  const run = (action) => (text) => {
+    pending = pending.then(async () => {
+      try {
+        await action(text.trim())
+      } catch (error) {
+        server.output.write(`${error.message}\n`)
+      }
+      server.displayPrompt()
+    })
+  }
+
+  server.on('exit', () => {
+    pending.then(close).catch((error) => console.error(error))
+  })
+
+  server.defineCommand('collections', {
+    help: 'List the collections',
+    action: run(async () => {
+      server.output.write(collections.join('\n') + '\n')
+    })
+  })
+
+  server.defineCommand('indexes', {
+    help: 'List the indexes',
+    action: run(async () => {
+      server.output.write(indexes.join('\n') + '\n')
+    })
+  })
+
+  server.defineCommand('get', {
+    help: 'Get a record: .get <collection-or-index> <key JSON>',
+    action: run(async (text) => {
+      const { name, json } = parseArguments(text, names)
+      print(await db.get(name, json))
+    })
+  })
+
+  server.defineCommand('find', {
+    help: 'Find records: .find <collection-or-index> [key or query JSON]',
+    action: run(async (text) => {
+      const { name, json } = parseArguments(text, names)
+      for await (const record of db.find(name, toQuery(json))) {
+        print(record)
+      }
+    })
+  })
+
+  // Complete collection and index names, and fall back to the default
+  // completion for everything else
+  const complete = server.completer
+  server.completer = (line, callback) => {
+    const match = line.match(/@[\w/-]*$/)
+    if (!match) {
+      return complete.call(server, line, callback)
+    }
+
+    const hits = names.filter((name) => name.startsWith(match[0]))
+    callback(null, [hits, match[0]])
+  }
+
+  return server
+}
+
+function parseArguments(text, names) {
+  const [name, ...rest] = text.split(/\s+/)
+
+  if (!name) {
+    throw new Error('Missing collection or index name')
+  }
+  if (!names.includes(name)) {
+    throw new Error(`Unknown collection or index ${name}`)
+  }
+
+  const source = rest.join(' ')
+  return { name, json: source ? JSON.parse(source) : null }
+}
+
+// A plain key like {"type":"tutorial"} finds exact matches, while an object
+// with range options is passed through as the query
+function toQuery(json) {
+  if (!json) return {}
+  if (Object.keys(json).some((key) => QUERY_OPTIONS.includes(key))) {
+    return json
+  }
+  return { gte: json, lte: json }
+}
+
+function getNames(dbJson, type) {
+  return dbJson.schema
+    .filter((entry) => entry.type === type)
+    .map((entry) => getFullyQualifiedName(entry))
+}
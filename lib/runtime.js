@@ -0,0 +1,187 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+import { createRequire } from 'module'
+
+/**
+ * Opens a HyperDB instance with the generated definitions, backed by a
+ * hyperbee or, with the rocks backend, by RocksDB like the generated open.js
+ *
+ * hyperdb and corestore are loaded from the project rather than from this
+ * package, so the database uses the same versions as the generated code.
+ * @param {Object} options
+ * @param {string} options.hyperdbDirectory - Directory of the generated database code
+ * @param {string} [options.storage] - Storage directory, unless a store is given
+ * @param {Object} [options.store] - An open Corestore to use, it is left open on close
+ * @param {string} options.name - Name of the core in the Corestore, or of the RocksDB directory in storage
+ * @param {string} [options.backend] - bee or rocks (default: bee)
+ * @param {string} [options.projectDirectory] - Directory of the project's package.json
+ * @returns {Promise<{ db: Object, definitions: Object, store: Object|null, close: Function }>}
+ */
+export async function openDatabase({
+  hyperdbDirectory,
+  storage,
+  store = null,
+  name,
+  backend = 'bee',
+  projectDirectory = process.cwd()
+}) {
+  const require = createRequire(path.join(projectDirectory, 'package.json'))
+  const Hyperdb = require('hyperdb')
+
+  // A build in this process may have rewritten the generated code since it
+  // was last required, and stale definitions would drop the new fields of
+  // every record written, so the cached modules are loaded again
+  const generatedCodeDirectory = path.dirname(path.resolve(hyperdbDirectory))
+  for (const filepath of Object.keys(require.cache)) {
+    if (filepath.startsWith(generatedCodeDirectory + path.sep)) {
+      delete require.cache[filepath]
+    }
+  }
+  const definitions = require(await getDefinitionsFilepath(hyperdbDirectory))
+
+  if (backend === 'rocks') {
+    const db = Hyperdb.rocks(path.join(storage, name), definitions)
+    await db.ready()
+    return { db, definitions, store: null, close: () => db.close() }
+  }
+
+  const ownsStore = store === null
+  if (ownsStore) {
+    store = await openStore({ storage, projectDirectory })
+  }
+
+  const core = store.get({ name })
+  const db = Hyperdb.bee(core, definitions)
+  await db.ready()
+
+  return {
+    db,
+    definitions,
+    store,
+    async close() {
+      await db.close()
+      if (ownsStore) await store.close()
+    }
+  }
+}
+
+/**
+ * Opens a Corestore that several databases can share
+ * @param {Object} options
+ * @param {string} options.storage - Corestore storage directory
+ * @param {string} [options.projectDirectory] - Directory of the project's package.json
+ * @returns {Promise<Object>}
+ */
+export async function openStore({ storage, projectDirectory = process.cwd() }) {
+  const require = createRequire(path.join(projectDirectory, 'package.json'))
+  const Corestore = require('corestore')
+
+  const store = new Corestore(storage)
+  await store.ready()
+  return store
+}
+
+/**
+ * Resolves a package, or a file of one, installed in the project
+ * @param {string} specifier - Package name, optionally with a subpath
+ * @param {string} [projectDirectory] - Directory of the project's package.json
+ * @returns {string} Path of the file the specifier resolves to
+ * @throws {Error} If the package is not installed
+ */
+export function resolveProjectModule(
+  specifier,
+  projectDirectory = process.cwd()
+) {
+  const require = createRequire(path.join(projectDirectory, 'package.json'))
+  try {
+    return require.resolve(specifier)
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error
+    throw new Error(
+      `Error: Cannot find ${specifier} from ${projectDirectory}, is it installed?`
+    )
+  }
+}
+
+/**
+ * Finds the version of a package installed in the project
+ * @param {string} name - Package name
+ * @param {string} [projectDirectory] - Directory of the project's package.json
+ * @returns {Promise<string|null>} The version, or null if it is not installed
+ */
+export async function getInstalledVersion(
+  name,
+  projectDirectory = process.cwd()
+) {
+  const require = createRequire(path.join(projectDirectory, 'package.json'))
+
+  let directory
+  try {
+    directory = path.dirname(require.resolve(name))
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') return null
+    throw error
+  }
+
+  // Packages with an exports field may not export their package.json,
+  // so it is found next to or above the entry point instead
+  while (directory !== path.dirname(directory)) {
+    try {
+      const packageJson = JSON.parse(
+        await fs.readFile(path.join(directory, 'package.json'), 'utf8')
+      )
+      if (packageJson.name === name) return packageJson.version
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+    directory = path.dirname(directory)
+  }
+
+  return null
+}
+
+/**
+ * Finds the files outside of a generated code directory its database code
+ * requires, like the functions file, that cannot be found from where it is now
+ *
+ * The generated code requires them by relative paths, so a copy of the
+ * generated code only finds them at the same depth in the database directory.
+ * @param {string} hyperdbDirectory - Directory of the generated database code
+ * @returns {Promise<string[]>} The relative paths that do not resolve
+ */
+export async function findMissingRequires(hyperdbDirectory) {
+  const code = await fs.readFile(
+    await getDefinitionsFilepath(hyperdbDirectory),
+    'utf8'
+  )
+
+  const missing = []
+  for (const [, specifier] of code.matchAll(/require\('(\.\.\/[^']+)'\)/g)) {
+    try {
+      await fs.access(path.resolve(hyperdbDirectory, specifier))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+      missing.push(specifier)
+    }
+  }
+  return missing
+}
+
+// ESM generated code keeps its CommonJS version in index.cjs
+async function getDefinitionsFilepath(hyperdbDirectory) {
+  let type = 'commonjs'
+  try {
+    const packageJson = await fs.readFile(
+      path.join(hyperdbDirectory, '..', 'package.json'),
+      'utf8'
+    )
+    type = JSON.parse(packageJson).type
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+
+  return path.resolve(
+    hyperdbDirectory,
+    type === 'module' ? 'index.cjs' : 'index.js'
+  )
+}
@@ -0,0 +1,29 @@
+/**
+ * Formats rows as a plain text table with aligned columns
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<*>>} rows - Cell values, converted with String()
+ * @returns {string}
+ * @example
+ * formatTable(['name', 'type'], [['id', 'string']])
+ * // name  type
+ * // ----  ------
+ * // id    string
+ */
+export function formatTable(headers, rows) {
+  const cells = rows.map((row) => row.map((cell) => String(cell ?? '')))
+  const widths = headers.map((header, i) =>
+    Math.max(header.length, ...cells.map((row) => row[i].length))
+  )
+
+  const formatRow = (row) =>
+    row
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join('  ')
+      .trimEnd()
+
+  return [
+    formatRow(headers),
+    formatRow(widths.map((width) => '-'.repeat(width))),
+    ...cells.map(formatRow)
+  ].join('\n')
+}
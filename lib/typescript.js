@@ -0,0 +1,348 @@
+import dedent from 'string-dedent'
+
+import {
+  COLLECTION_TYPE,
+  INDEX_TYPE,
+  getFullyQualifiedName
+} from './definitions.js'
+
+const HEADER = '// This file is autogenerated by hyperdb-helper\n'
+
+const PrimitiveTypes = new Map([
+  ...[
+    'uint',
+    'uint8',
+    'uint16',
+    'uint24',
+    'uint32',
+    'uint40',
+    'uint48',
+    'uint56',
+    'uint64',
+    'int',
+    'int8',
+    'int16',
+    'int24',
+    'int32',
+    'int40',
+    'int48',
+    'int56',
+    'int64',
+    'float32',
+    'float64',
+    'lexint'
+  ].map((type) => [type, 'number']),
+  ...['string', 'utf8', 'ascii', 'hex'].map((type) => [type, 'string']),
+  ...['bigint', 'biguint64', 'bigint64'].map((type) => [type, 'bigint']),
+  ...['fixed32', 'fixed64', 'buffer', 'raw'].map((type) => [
+    type,
+    'Uint8Array'
+  ]),
+  ['bool', 'boolean'],
+  ['none', 'null']
+])
+
+/**
+ * Generates the declaration file for the generated schemas module
+ * @param {Object} schemaJson - Contents of schemas/schema.json
+ * @param {Object} [options]
+ * @param {string} [options.moduleType] - Module type of the generated code, ES modules also have a default export
+ * @returns {string} Contents of schemas/index.d.ts
+ * @throws {Error} If two struct names turn into the same type name
+ */
+export function generateSchemaTypes(schemaJson, { moduleType } = {}) {
+  const types = schemaJson.schema.filter((type) => !type.derived)
+
+  // Type names drop the punctuation of struct names, so @ns/a-b and @ns/aB
+  // would both be declared as NsAB
+  const typeNames = new Map()
+  for (const type of types) {
+    const fqn = getFullyQualifiedName(type)
+    const name = getTypeName(fqn)
+    if (typeNames.has(name)) {
+      throw new Error(
+        `Error: ${typeNames.get(name)} and ${fqn} would both be declared as ${name} in the TypeScript types, rename one of them`
+      )
+    }
+    typeNames.set(name, fqn)
+  }
+
+  let str = HEADER + '\n'
+
+  for (const type of types) {
+    const fqn = getFullyQualifiedName(type)
+    const name = getTypeName(fqn)
+
+    if (type.alias) {
+      str += `/** ${fqn} */\n`
+      str += `export type ${name} = ${getFieldType(type.alias)}\n\n`
+      continue
+    }
+
+    str += `/** ${fqn} */\n`
+    str += `export interface ${name} {\n`
+    for (const field of type.fields) {
+      const optional = field.required ? '' : '?'
+      const fieldType = getFieldType(field.type) + (field.array ? '[]' : '')
+      str += `  ${formatProperty(field.name)}${optional}: ${fieldType}\n`
+    }
+    str += '}\n\n'
+  }
+
+  str += 'export interface Structs {\n'
+  for (const type of types) {
+    const fqn = getFullyQualifiedName(type)
+    str += `  '${fqn}': ${getTypeName(fqn)}\n`
+  }
+  str += '}\n\n'
+
+  str += 'export type StructName = keyof Structs\n\n'
+  str += 'export const version: number\n\n'
+  str += 'export function setVersion(version: number): void\n\n'
+  str += 'export function getEncoding(name: StructName): unknown\n\n'
+  str +=
+    'export function resolveStruct(name: StructName, version?: number): unknown\n\n'
+  str +=
+    'export function encode<N extends StructName>(name: N, value: Structs[N], version?: number): Uint8Array\n\n'
+  str +=
+    'export function decode<N extends StructName>(name: N, buffer: Uint8Array, version?: number): Structs[N]\n'
+
+  if (moduleType === 'module') {
+    str +=
+      '\n' +
+      dedent`
+      declare const schemas: {
+        version: number
+        setVersion: typeof setVersion
+        getEncoding: typeof getEncoding
+        resolveStruct: typeof resolveStruct
+        encode: typeof encode
+        decode: typeof decode
+      }
+
+      export default schemas
+    `
+    str += '\n'
+  }
+
+  return str
+}
+
+/**
+ * Generates the declaration file for the generated database module
+ * @param {Object} schemaJson - Contents of schemas/schema.json
+ * @param {Object} dbJson - Contents of database/db.json
+ * @param {string} schemasImportPath - Import path of the schemas module relative to the database module
+ * @param {Object} [options]
+ * @param {string} [options.moduleType] - Module type of the generated code, ES modules also have a default export
+ * @returns {string} Contents of database/index.d.ts
+ */
+export function generateDatabaseTypes(
+  schemaJson,
+  dbJson,
+  schemasImportPath,
+  { moduleType } = {}
+) {
+  const structs = new Map()
+  for (const type of schemaJson.schema) {
+    structs.set(getFullyQualifiedName(type), type)
+  }
+
+  const collections = dbJson.schema.filter(
+    (type) => type.type === COLLECTION_TYPE
+  )
+  const indexes = dbJson.schema.filter((type) => type.type === INDEX_TYPE)
+  const collectionsByName = new Map(
+    collections.map((collection) => [
+      getFullyQualifiedName(collection),
+      collection
+    ])
+  )
+
+  let str = HEADER + '\n'
+
+  str += `import type * as schemas from '${schemasImportPath}'\n\n`
+
+  str += 'export interface Collections {\n'
+  for (const collection of collections) {
+    const fqn = getFullyQualifiedName(collection)
+    str += `  '${fqn}': {\n`
+    str += `    record: schemas.${getTypeName(collection.schema)}\n`
+    str += `    key: ${getKeyType(structs, collection.schema, collection.key)}\n`
+    str += '  }\n'
+  }
+  str += '}\n\n'
+
+  str += 'export interface Indexes {\n'
+  for (const index of indexes) {
+    const fqn = getFullyQualifiedName(index)
+    const collection = collectionsByName.get(index.collection)
+    const key = Array.isArray(index.key)
+      ? getKeyType(structs, collection.schema, index.key)
+      : getFieldType(index.key.type, 'schemas.')
+
+    str += `  '${fqn}': {\n`
+    str += `    record: schemas.${getTypeName(collection.schema)}\n`
+    str += `    key: ${key}\n`
+    str += `    unique: ${index.unique ? 'true' : 'false'}\n`
+    str += '  }\n'
+  }
+  str += '}\n\n'
+
+  str += 'export type CollectionName = keyof Collections\n\n'
+  str += 'export type IndexName = keyof Indexes\n\n'
+
+  str += dedent`
+    export interface Query<K> {
+      gt?: Partial<K>
+      gte?: Partial<K>
+      lt?: Partial<K>
+      lte?: Partial<K>
+      limit?: number
+      reverse?: boolean
+    }
+
+    export interface RecordStream<T> extends AsyncIterable<T> {
+      toArray(): Promise<T[]>
+      one(): Promise<T | null>
+    }
+
+    export interface Database {
+      ready(): Promise<void>
+      close(): Promise<void>
+      flush(): Promise<void>
+      get<N extends CollectionName>(name: N, key: Collections[N]['key']): Promise<Collections[N]['record'] | null>
+      get<N extends IndexName>(name: N, key: Indexes[N]['key']): Promise<Indexes[N]['record'] | null>
+      find<N extends IndexName>(name: N, query?: Query<Indexes[N]['key']>): RecordStream<Indexes[N]['record']>
+      find<N extends CollectionName>(name: N, query?: Query<Collections[N]['key']>): RecordStream<Collections[N]['record']>
+      findOne<N extends IndexName>(name: N, query?: Query<Indexes[N]['key']>): Promise<Indexes[N]['record'] | null>
+      findOne<N extends CollectionName>(name: N, query?: Query<Collections[N]['key']>): Promise<Collections[N]['record'] | null>
+      insert<N extends CollectionName>(name: N, record: Collections[N]['record']): Promise<void>
+      delete<N extends CollectionName>(name: N, key: Collections[N]['key']): Promise<void>
+    }
+
+    export interface Collection<N extends CollectionName = CollectionName> {
+      name: N
+      id: number
+    }
+
+    export interface Index<N extends IndexName = IndexName> {
+      name: N
+      id: number
+    }
+
+    export const version: number
+
+    export const collections: Collection[]
+
+    export const indexes: Index[]
+
+    export function resolveCollection<N extends CollectionName>(name: N): Collection<N>
+    export function resolveCollection(name: string): Collection | null
+
+    export function resolveIndex<N extends IndexName>(name: N): Index<N>
+    export function resolveIndex(name: string): Index | null
+  `
+  str += '\n'
+
+  if (moduleType === 'module') {
+    str +=
+      '\n' +
+      dedent`
+      declare const definitions: {
+        version: number
+        collections: Collection[]
+        indexes: Index[]
+        resolveCollection: typeof resolveCollection
+        resolveIndex: typeof resolveIndex
+      }
+
+      export default definitions
+    `
+    str += '\n'
+  }
+
+  return str
+}
+
+/**
+ * Generates the declaration file for the generated messages module
+ * @param {string} schemasImportPath - Import path of the schemas module relative to the messages module
+ * @param {Object} [options]
+ * @param {string} [options.moduleType] - Module type of the generated code, ES modules also have a default export
+ * @returns {string} Contents of database/messages.d.ts
+ */
+export function generateMessagesTypes(schemasImportPath, { moduleType } = {}) {
+  let str = HEADER + '\n' + `export * from '${schemasImportPath}'\n`
+  if (moduleType === 'module') {
+    str += `export { default } from '${schemasImportPath}'\n`
+  }
+  return str
+}
+
+function getKeyType(structs, structName, key) {
+  if (!key.length) return 'Record<string, never>'
+
+  // Keys can be dotted paths into nested structs, so build a tree of the
+  // referenced fields before rendering it as an object type
+  const tree = new Map()
+  for (const path of key) {
+    let current = tree
+    const components = path.split('.')
+    for (let i = 0; i < components.length; i++) {
+      const component = components[i]
+      if (i === components.length - 1) {
+        current.set(component, getPathType(structs, structName, path))
+      } else {
+        if (!(current.get(component) instanceof Map)) {
+          current.set(component, new Map())
+        }
+        current = current.get(component)
+      }
+    }
+  }
+
+  return renderTree(tree)
+}
+
+function renderTree(tree) {
+  const properties = [...tree].map(([name, value]) => {
+    const type = value instanceof Map ? renderTree(value) : value
+    return `${formatProperty(name)}: ${type}`
+  })
+  return `{ ${properties.join('; ')} }`
+}
+
+function getPathType(structs, structName, path) {
+  let struct = structs.get(structName)
+  let type = 'unknown'
+
+  for (const component of path.split('.')) {
+    const field = struct?.fields?.find((field) => field.name === component)
+    if (!field) return 'unknown'
+    type = getFieldType(field.type, 'schemas.') + (field.array ? '[]' : '')
+    struct = structs.get(field.type)
+  }
+
+  return type
+}
+
+// Struct references resolve within the schemas module itself, and through
+// the schemas import everywhere else
+function getFieldType(type, namespace = '') {
+  if (PrimitiveTypes.has(type)) return PrimitiveTypes.get(type)
+  return namespace + getTypeName(type)
+}
+
+function getTypeName(fqn) {
+  return fqn
+    .replace(/^@/, '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('')
+}
+
+function formatProperty(name) {
+  return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name) ? name : `'${name}'`
+}
@@ -0,0 +1,170 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+
+import { packageJsonConfigField } from './config.js'
+
+/**
+ * Finds the database directories of a project and its npm workspaces
+ *
+ * Directories listed in databases are used as given. Otherwise every package,
+ * the root and each workspace, contributes the directories listed in databases
+ * in the hyperdbHelper field of its package.json, or else its database
+ * directory if there is one. Patterns may use * to match a single directory name.
+ * @param {string} rootDirectory - Directory of the root package.json
+ * @param {Object} [options]
+ * @param {string[]} [options.databases] - Database directories or patterns, relative to the root
+ * @returns {Promise<Array<{ directory: string, projectDirectory: string }>>} Absolute paths of
+ * each database directory and of the package it belongs to, in a stable order
+ */
+export async function findDatabases(rootDirectory, { databases } = {}) {
+  if (databases) {
+    const found = []
+    for (const directory of await expandPatterns(rootDirectory, databases, {
+      keepMissing: true
+    })) {
+      found.push({
+        directory,
+        projectDirectory: await findPackageDirectory(directory, rootDirectory)
+      })
+    }
+    return found
+  }
+
+  const rootPackageJson = await readPackageJson(rootDirectory)
+  const packageDirectories = [
+    rootDirectory,
+    ...(await expandPatterns(
+      rootDirectory,
+      getWorkspacePatterns(rootPackageJson)
+    ))
+  ]
+
+  const found = []
+  const seen = new Set()
+  for (const packageDirectory of packageDirectories) {
+    const packageJson =
+      packageDirectory === rootDirectory
+        ? rootPackageJson
+        : await readPackageJson(packageDirectory)
+    if (!packageJson) continue
+
+    const listed = packageJson[packageJsonConfigField]?.databases
+    const directories = Array.isArray(listed)
+      ? await expandPatterns(packageDirectory, listed, { keepMissing: true })
+      : await expandPatterns(packageDirectory, ['database'])
+
+    for (const directory of directories) {
+      if (seen.has(directory)) continue
+      seen.add(directory)
+      found.push({ directory, projectDirectory: packageDirectory })
+    }
+  }
+
+  return found
+}
+
+// The workspaces field is an array of patterns, or { packages } with Yarn
+function getWorkspacePatterns(packageJson) {
+  const workspaces = packageJson?.workspaces
+  if (Array.isArray(workspaces)) return workspaces
+  if (Array.isArray(workspaces?.packages)) return workspaces.packages
+  return []
+}
+
+// Directories matching the patterns, where * matches any single directory name.
+// Literal paths that do not exist are only kept with keepMissing.
+async function expandPatterns(
+  baseDirectory,
+  patterns,
+  { keepMissing = false } = {}
+) {
+  const directories = []
+
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) continue
+
+    let matches = [baseDirectory]
+    const segments = pattern.split(/[\\/]+/).filter(Boolean)
+    for (const segment of segments) {
+      if (!segment.includes('*')) {
+        matches = matches.map((match) => path.resolve(match, segment))
+        continue
+      }
+
+      const expression = new RegExp(
+        '^' +
+          segment
+            .split('*')
+            .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^/]*') +
+          '$'
+      )
+      const next = []
+      for (const match of matches) {
+        for (const entry of await readDirectories(match)) {
+          if (!entry.startsWith('.') && expression.test(entry)) {
+            next.push(path.join(match, entry))
+          }
+        }
+      }
+      matches = next
+    }
+
+    for (const match of matches) {
+      if (keepMissing || (await isDirectory(match))) directories.push(match)
+    }
+  }
+
+  return [...new Set(directories)]
+}
+
+async function readDirectories(directory) {
+  try {
+    const entries = await fs.readdir(directory, { withFileTypes: true })
+    return entries
+      .filter((entry) => entry.isDirectory() && entry.name !== 'node_modules')
+      .map((entry) => entry.name)
+      .sort()
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return []
+    throw error
+  }
+}
+
+async function isDirectory(directory) {
+  try {
+    return (await fs.stat(directory)).isDirectory()
+  } catch (error) {
+    if (error.code === 'ENOENT') return false
+    throw error
+  }
+}
+
+async function readPackageJson(directory) {
+  try {
+    return JSON.parse(
+      await fs.readFile(path.join(directory, 'package.json'), 'utf8')
+    )
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+// The closest directory above a database directory with a package.json,
+// up to the root. The database directory has a package.json of its own.
+async function findPackageDirectory(directory, rootDirectory) {
+  let current = path.dirname(directory)
+  while (isWithinDirectory(rootDirectory, current)) {
+    if (await readPackageJson(current)) return current
+    current = path.dirname(current)
+  }
+  return rootDirectory
+}
+
+function isWithinDirectory(directory, filepath) {
+  const relative = path.relative(directory, filepath)
+  return (
+    relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative)
+  )
+}
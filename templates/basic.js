@@ -1,27 +1,40 @@
 import dedent from 'string-dedent'
+import { stringify } from 'yaml'
+
+export const configFileTemplate = ({
+  schemaFilepath = './schema.js',
+  backend = 'bee'
+} = {}) => {
+  // bee is the default backend, so only rocks is written down
+  const backendConfig =
+    backend === 'rocks' ? `,\n  backend: 'rocks',\n  storage: './.rocksdb'` : ''
 
-export const configFileTemplate = () => {
   return dedent`
     export const config = {
-      schemaFilepath: './schema.js',
+      schemaFilepath: '${schemaFilepath}',
       functionsFilepath: './functions.js',
-      generatedDirectory: './generated',
+      generatedCodeDirectory: './generated'${backendConfig}
     }
   `
 }
 
-export const schemaFileTemplate = (content = {}) => {
+export const description = 'An empty namespace to start from'
+
+export const schemaFileTemplate = ({
+  namespace = 'example',
+  ...content
+} = {}) => {
   return dedent`
     export function createSchema (hyperschema) {
-      const schema = hyperschema.namespace('example')
+      const schema = hyperschema.namespace('${namespace}')
 
         ${content.schema || ''}
 
       return hyperschema
     }
 
-    export function createDatabase (hyperdb) {
-      const database = hyperdb.namespace('example')
+    export function createDatabase (hyperdb, functions) {
+      const database = hyperdb.namespace('${namespace}')
 
         ${content.database || ''}
 
@@ -30,8 +43,66 @@ export const schemaFileTemplate = (content = {}) => {
   `
 }
 
-export const functionFileTemplate = (moduleType) => {
+export const functionFileTemplate = () => {
+  return dedent`
+    // Export map and trigger functions, then reference them by name
+    // from collections (trigger: 'name') and indexes (key: { type, map: 'name' })
+  `
+}
+
+export const schemaDefinition = ({ namespace = 'example' } = {}) => {
+  return {
+    namespaces: [
+      {
+        name: namespace,
+        structs: [],
+        collections: [],
+        indexes: []
+      }
+    ]
+  }
+}
+
+export const schemaJsonFileTemplate = (definition, { jsonSchemaPath }) => {
+  return JSON.stringify({ $schema: jsonSchemaPath, ...definition }, null, 2)
+}
+
+export const schemaYamlFileTemplate = (definition, { jsonSchemaPath }) => {
+  return dedent`
+    # yaml-language-server: $schema=${jsonSchemaPath}
+
+    ${stringify(definition)}
+  `
+}
+
+// Wraps the body of an example index.js with the setup for either module type.
+// The generated open.js opens the database with the backend of the config.
+export const indexFileTemplate = ({ openPath, moduleType, content }) => {
+  const body = dedent(content).trimEnd()
+
+  if (moduleType === 'commonjs') {
+    return dedent`
+      const { openDatabase } = require('./${openPath}')
+
+      async function main () {
+        const db = await openDatabase()
+
+        ${body.replace(/\n(?=.)/g, '\n  ')}
+
+        await db.close()
+      }
+
+      main().catch(console.error)
+    `
+  }
+
   return dedent`
-    // Export map and trigger functions
+    import { openDatabase } from './${openPath}'
+
+    const db = await openDatabase()
+
+    ${body}
+
+    await db.close()
   `
 }
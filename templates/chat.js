@@ -0,0 +1,222 @@
+import dedent from 'string-dedent'
+
+import { indexFileTemplate } from './basic.js'
+
+export const description =
+  'Chat rooms and messages, with a trigger keeping message counts'
+
+export const schemaFileTemplate = ({ namespace = 'chat' } = {}) => {
+  return dedent`
+    export function createSchema (hyperschema) {
+      const schema = hyperschema.namespace('${namespace}')
+
+      schema.register({
+        name: 'room',
+        fields: [
+          {
+            name: 'id',
+            type: 'string',
+            required: true
+          },
+          {
+            name: 'name',
+            type: 'string',
+            required: true
+          },
+          {
+            name: 'messages',
+            type: 'uint',
+            required: true
+          }
+        ]
+      })
+
+      schema.register({
+        name: 'message',
+        fields: [
+          {
+            name: 'id',
+            type: 'string',
+            required: true
+          },
+          {
+            name: 'room',
+            type: 'string',
+            required: true
+          },
+          {
+            name: 'author',
+            type: 'string',
+            required: true
+          },
+          {
+            name: 'created',
+            type: 'uint',
+            required: true
+          },
+          {
+            name: 'text',
+            type: 'string',
+            required: true
+          }
+        ]
+      })
+
+      return hyperschema
+    }
+
+    export function createDatabase (hyperdb, functions) {
+      const database = hyperdb.namespace('${namespace}')
+
+      // Collections
+      database.collections.register({
+        name: 'room',
+        schema: '@${namespace}/room',
+        key: ['id']
+      })
+
+      database.collections.register({
+        name: 'message',
+        schema: '@${namespace}/message',
+        key: ['id'],
+        // Name of a function exported by functions.js
+        trigger: 'countMessages'
+      })
+
+      // Indexes
+      database.indexes.register({
+        name: 'by_name',
+        collection: '@${namespace}/room',
+        key: ['name'],
+        unique: true
+      })
+
+      database.indexes.register({
+        name: 'by_room',
+        collection: '@${namespace}/message',
+        key: ['room', 'created']
+      })
+
+      return database
+    }
+  `
+}
+
+export const schemaDefinition = ({ namespace = 'chat' } = {}) => {
+  return {
+    namespaces: [
+      {
+        name: namespace,
+        structs: [
+          {
+            name: 'room',
+            fields: [
+              { name: 'id', type: 'string', required: true },
+              { name: 'name', type: 'string', required: true },
+              { name: 'messages', type: 'uint', required: true }
+            ]
+          },
+          {
+            name: 'message',
+            fields: [
+              { name: 'id', type: 'string', required: true },
+              { name: 'room', type: 'string', required: true },
+              { name: 'author', type: 'string', required: true },
+              { name: 'created', type: 'uint', required: true },
+              { name: 'text', type: 'string', required: true }
+            ]
+          }
+        ],
+        collections: [
+          { name: 'room', schema: `@${namespace}/room`, key: ['id'] },
+          {
+            name: 'message',
+            schema: `@${namespace}/message`,
+            key: ['id'],
+            trigger: 'countMessages'
+          }
+        ],
+        indexes: [
+          {
+            name: 'by_name',
+            collection: `@${namespace}/room`,
+            key: ['name'],
+            unique: true
+          },
+          {
+            name: 'by_room',
+            collection: `@${namespace}/message`,
+            key: ['room', 'created']
+          }
+        ]
+      }
+    ]
+  }
+}
+
+export const functionFileTemplate = ({ namespace = 'chat' } = {}) => {
+  return dedent`
+    // Runs before a message is inserted, or deleted when record is null,
+    // and keeps the message count of its room up to date
+    export async function countMessages (db, key, record, context) {
+      const existing = await db.get('@${namespace}/message', key)
+
+      // Inserting a message that already exists only edits it
+      if (record && existing) return
+      if (!record && !existing) return
+
+      const message = record || existing
+      const room = await db.get('@${namespace}/room', { id: message.room })
+      if (!room) return
+
+      room.messages += record ? 1 : -1
+      await db.insert('@${namespace}/room', room)
+    }
+  `
+}
+
+export const exampleIndexFileTemplate = ({
+  openPath,
+  moduleType,
+  namespace = 'chat'
+}) => {
+  const content = `
+    await db.insert('@${namespace}/room', {
+      id: 'room-1',
+      name: 'general',
+      messages: 0
+    })
+
+    const messages = [
+      { id: 'message-1', author: 'alice', text: 'Hi!' },
+      { id: 'message-2', author: 'bob', text: 'Hello there' },
+      { id: 'message-3', author: 'alice', text: 'How are you?' }
+    ]
+
+    // Each insert and delete runs the countMessages trigger
+    for (const message of messages) {
+      await db.insert('@${namespace}/message', {
+        ...message,
+        room: 'room-1',
+        created: Date.now()
+      })
+    }
+
+    await db.delete('@${namespace}/message', { id: 'message-3' })
+    await db.flush()
+
+    // Messages of a room, oldest first
+    const history = db.find('@${namespace}/by_room', {
+      gte: { room: 'room-1' },
+      lte: { room: 'room-1' }
+    })
+
+    const room = await db.get('@${namespace}/by_name', { name: 'general' })
+
+    console.log('History:', await history.toArray())
+    console.log('Room:', room)
+
+  `
+
+  return indexFileTemplate({ openPath, moduleType, content })
+}
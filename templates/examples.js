@@ -1,9 +1,14 @@
 import dedent from 'string-dedent'
 
-export const schemaFileTemplate = (content = {}) => {
+import { indexFileTemplate } from './basic.js'
+
+export const description =
+  'A blog with posts, authors, a trigger and a mapped index'
+
+export const schemaFileTemplate = ({ namespace = 'example' } = {}) => {
   return dedent`
     export function createSchema (hyperschema) {
-      const schema = hyperschema.namespace('example')
+      const schema = hyperschema.namespace('${namespace}')
 
       schema.register({
         name: 'post',
@@ -60,83 +65,175 @@ export const schemaFileTemplate = (content = {}) => {
       return hyperschema
     }
 
-    export function createDatabase (hyperdb) {
-      const database = hyperdb.namespace('example')
+    export function createDatabase (hyperdb, functions) {
+      const database = hyperdb.namespace('${namespace}')
 
       // Collections
       database.collections.register({
         name: 'post',
-        schema: '@example/post',
+        schema: '@${namespace}/post',
         key: ['id']
       })
 
       database.collections.register({
         name: 'author',
-        schema: '@example/author',
-        key: ['id']
+        schema: '@${namespace}/author',
+        key: ['id'],
+        // Name of a function exported by functions.js
+        trigger: 'triggerExample'
       })
 
       // Indexes
       database.indexes.register({
         name: 'by_title',
-        collection: '@example/post',
+        collection: '@${namespace}/post',
         key: ['title'],
         unique: true
       })
 
       database.indexes.register({
         name: 'by_type',
-        collection: '@example/post',
+        collection: '@${namespace}/post',
         key: ['type']
       })
 
       database.indexes.register({
         name: 'by_author',
-        collection: '@example/post',
+        collection: '@${namespace}/post',
         key: ['author']
       })
 
       database.indexes.register({
         name: 'by_username',
-        collection: '@example/author',
+        collection: '@${namespace}/author',
         key: ['username'],
         unique: true
       })
 
+      database.indexes.register({
+        name: 'by_title_word',
+        collection: '@${namespace}/post',
+        // Keys computed by a function exported by functions.js
+        key: {
+          type: 'string',
+          map: 'mapExample'
+        }
+      })
+
       return database
     }
   `
 }
 
-export const functionFileTemplate = () => {
+export const schemaDefinition = ({ namespace = 'example' } = {}) => {
+  return {
+    namespaces: [
+      {
+        name: namespace,
+        structs: [
+          {
+            name: 'post',
+            fields: [
+              { name: 'id', type: 'string', required: true },
+              { name: 'type', type: 'string', required: true },
+              { name: 'author', type: 'string', required: true },
+              { name: 'created', type: 'uint', required: true },
+              { name: 'title', type: 'string', required: true },
+              { name: 'content', type: 'string', required: true }
+            ]
+          },
+          {
+            name: 'author',
+            fields: [
+              { name: 'id', type: 'string', required: true },
+              { name: 'username', type: 'string', required: true }
+            ]
+          }
+        ],
+        collections: [
+          { name: 'post', schema: `@${namespace}/post`, key: ['id'] },
+          {
+            name: 'author',
+            schema: `@${namespace}/author`,
+            key: ['id'],
+            trigger: 'triggerExample'
+          }
+        ],
+        indexes: [
+          {
+            name: 'by_title',
+            collection: `@${namespace}/post`,
+            key: ['title'],
+            unique: true
+          },
+          { name: 'by_type', collection: `@${namespace}/post`, key: ['type'] },
+          {
+            name: 'by_author',
+            collection: `@${namespace}/post`,
+            key: ['author']
+          },
+          {
+            name: 'by_username',
+            collection: `@${namespace}/author`,
+            key: ['username'],
+            unique: true
+          },
+          {
+            name: 'by_title_word',
+            collection: `@${namespace}/post`,
+            key: { type: 'string', map: 'mapExample' }
+          }
+        ]
+      }
+    ]
+  }
+}
+
+export const functionFileTemplate = ({ namespace = 'example' } = {}) => {
   return dedent`
+    // Index a post once for every word in its title
     export function mapExample (record, context) {
-      return [record.id]
+      return record.title.toLowerCase().split(/\\s+/)
     }
 
+    // Runs when an author is inserted, before it is written, and when one is
+    // deleted, with record set to null and key holding the author's id.
+    // Deleting an author deletes their posts too. Export, import and migrate
+    // copy one collection at a time, so a trigger should not expect related
+    // records to be there already.
     export async function triggerExample (db, key, record, context) {
-      return record
+      if (record) return
+
+      const posts = db.find('@${namespace}/by_author', {
+        gte: { author: key.id },
+        lte: { author: key.id }
+      })
+      for (const post of await posts.toArray()) {
+        await db.delete('@${namespace}/post', { id: post.id })
+      }
     }
   `
 }
 
-export const exampleIndexFileTemplate = ({ relativePath, moduleType }) => {
+export const exampleIndexFileTemplate = ({
+  openPath,
+  moduleType,
+  namespace = 'example'
+}) => {
   const content = `
-    await db.ready()
-
     // Create an author
     const author = {
       id: 'author-1',
       username: 'alice'
     }
-    await db.insert('@example/author', author)
+    await db.insert('@${namespace}/author', author)
 
     const author2 = {
       id: 'author-2',
       username: 'bob'
     }
 
-    await db.insert('@example/author', author2)
+    await db.insert('@${namespace}/author', author2)
 
     // Create some posts
     const posts = [
@@ -175,25 +272,25 @@ export const exampleIndexFileTemplate = ({ relativePath, moduleType }) => {
     ]
 
     for (const post of posts) {
-      await db.insert('@example/post', post)
+      await db.insert('@${namespace}/post', post)
     }
 
     // Query examples
 
     // Find all posts by a specific author
-    const postsByAuthor = db.find('@example/by_author', {
+    const postsByAuthor = db.find('@${namespace}/by_author', {
       gte: { author: author.id },
       lte: { author: author.id }
     })
 
     // Get rid of those rants 😅
-    const tutorialPosts = db.find('@example/by_type', {
+    const tutorialPosts = db.find('@${namespace}/by_type', {
       gte: { type: 'tutorial' },
       lte: { type: 'tutorial' }
     })
 
     // Find a post by its title
-    const postByTitle = await db.get('@example/by_title', {
+    const postByTitle = await db.get('@${namespace}/by_title', {
       title: 'My First Post'
     })
 
@@ -203,35 +300,5 @@ export const exampleIndexFileTemplate = ({ relativePath, moduleType }) => {
 
   `
 
-  if (moduleType === 'commonjs') {
-    return dedent`
-      const Hyperdb = require('hyperdb')
-      const Corestore = require('corestore')
-
-      const definitions = require('./${relativePath}')
-
-      const store = new Corestore('./.corestore')
-      const core = store.get({ name: 'example' })
-      const db = Hyperdb.bee(core, definitions)
-
-      async function main () {
-        ${content}
-      }
-
-      main().catch(console.error)
-    `
-  }
-
-  return dedent`
-    import Hyperdb from 'hyperdb'
-    import Corestore from 'corestore'
-
-    import definitions from './${relativePath}'
-
-    const store = new Corestore('./.corestore')
-    const core = store.get({ name: 'example' })
-    const db = Hyperdb.bee(core, definitions)
-
-    ${content}
-  `
+  return indexFileTemplate({ openPath, moduleType, content })
 }
@@ -0,0 +1,213 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+import { createRequire } from 'module'
+import dedent from 'string-dedent'
+import { parse } from 'yaml'
+
+import * as basic from './basic.js'
+import * as examples from './examples.js'
+import * as chat from './chat.js'
+import * as log from './log.js'
+
+export const builtinTemplates = {
+  empty: basic,
+  blog: examples,
+  chat,
+  log
+}
+
+// Installed packages with this prefix are listed by `hyperdb-helper templates`
+export const templatePackagePrefix = 'hyperdb-helper-template-'
+
+const SCHEMA_FILENAMES = [
+  'schema.js',
+  'schema.json',
+  'schema.yaml',
+  'schema.yml'
+]
+
+/**
+ * Loads a built-in template by name, or a template directory from a local
+ * path or an installed npm package
+ *
+ * A template directory holds any of schema.js, schema.json or schema.yaml,
+ * functions.js, config.js and index.js, plus an optional template.json with a
+ * description. Packages may keep these files in a template/ subdirectory.
+ * @param {string} name - Built-in name, path or package name
+ * @param {Object} [options]
+ * @param {string} [options.projectDirectory] - Directory of the project's package.json
+ * @returns {Promise<Object>} Template with the same functions as the built-in template modules
+ * @throws {Error} If the template cannot be found
+ */
+export async function loadTemplate(
+  name,
+  { projectDirectory = process.cwd() } = {}
+) {
+  if (Object.hasOwn(builtinTemplates, name)) {
+    return { name, ...builtinTemplates[name] }
+  }
+
+  const directory = await resolveTemplateDirectory(name, projectDirectory)
+  return loadTemplateDirectory(name, directory)
+}
+
+/**
+ * Lists the built-in templates and installed template packages
+ * @param {Object} [options]
+ * @param {string} [options.projectDirectory] - Directory of the project's package.json
+ * @returns {Promise<Array<{ name: string, description: string, source: string }>>}
+ */
+export async function listTemplates({ projectDirectory = process.cwd() } = {}) {
+  const templates = Object.entries(builtinTemplates).map(
+    ([name, template]) => ({
+      name,
+      description: template.description,
+      source: 'built-in'
+    })
+  )
+
+  let packageJson = {}
+  try {
+    packageJson = JSON.parse(
+      await fs.readFile(path.join(projectDirectory, 'package.json'), 'utf8')
+    )
+  } catch (error) {}
+
+  const dependencies = Object.keys({
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies
+  })
+
+  for (const dependency of dependencies.sort()) {
+    if (!dependency.startsWith(templatePackagePrefix)) continue
+
+    try {
+      const template = await loadTemplate(dependency, { projectDirectory })
+      templates.push({
+        name: dependency,
+        description: template.description,
+        source: 'package'
+      })
+    } catch (error) {
+      templates.push({
+        name: dependency,
+        description: 'Not installed',
+        source: 'package'
+      })
+    }
+  }
+
+  return templates
+}
+
+/**
+ * Replaces {{variable}} placeholders, leaving unknown placeholders untouched
+ * @param {string} source
+ * @param {Object} variables
+ * @returns {string}
+ */
+export function renderTemplate(source, variables) {
+  return source.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    Object.hasOwn(variables, name) ? String(variables[name]) : placeholder
+  )
+}
+
+async function resolveTemplateDirectory(name, projectDirectory) {
+  const isPath =
+    name.startsWith('.') || path.isAbsolute(name) || name.includes('\\')
+
+  if (isPath) {
+    const directory = path.resolve(projectDirectory, name)
+    if (!(await isDirectory(directory))) {
+      throw new Error(`Error: Template directory not found at ${directory}`)
+    }
+    return directory
+  }
+
+  let packageDirectory
+  try {
+    const require = createRequire(path.join(projectDirectory, 'package.json'))
+    packageDirectory = path.dirname(require.resolve(`${name}/package.json`))
+  } catch (error) {
+    throw new Error(dedent`
+      Error: Unknown template ${name}
+      Use one of ${Object.keys(builtinTemplates).join(', ')}, a path to a template directory or an installed package
+    `)
+  }
+
+  const templateDirectory = path.join(packageDirectory, 'template')
+  return (await isDirectory(templateDirectory))
+    ? templateDirectory
+    : packageDirectory
+}
+
+async function loadTemplateDirectory(name, directory) {
+  const read = async (filename) => {
+    try {
+      return await fs.readFile(path.join(directory, filename), 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  // Built-in templates default their own namespace, directories get this one
+  const render = (source, variables) =>
+    renderTemplate(source, { namespace: 'example', ...variables })
+
+  const template = { name, description: '' }
+
+  const metadata = await read('template.json')
+  if (metadata) {
+    template.description = JSON.parse(metadata).description || ''
+  }
+
+  for (const filename of SCHEMA_FILENAMES) {
+    const source = await read(filename)
+    if (source === null) continue
+
+    if (filename === 'schema.js') {
+      template.schemaFileTemplate = (variables) => render(source, variables)
+    } else if (!template.schemaDefinition) {
+      // Declarative schemas are parsed so they can be written in any format
+      template.schemaDefinition = (variables) => {
+        const definition = parse(render(source, variables))
+        delete definition.$schema
+        return definition
+      }
+    }
+  }
+
+  if (!template.schemaFileTemplate && !template.schemaDefinition) {
+    throw new Error(
+      `Error: Template ${name} has no ${SCHEMA_FILENAMES.join(', ')} file in ${directory}`
+    )
+  }
+
+  const functions = await read('functions.js')
+  template.functionFileTemplate = (variables) =>
+    functions === null
+      ? basic.functionFileTemplate()
+      : render(functions, variables)
+
+  const config = await read('config.js')
+  if (config !== null) {
+    template.configFileTemplate = (variables) => render(config, variables)
+  }
+
+  const index = await read('index.js')
+  if (index !== null) {
+    template.exampleIndexFileTemplate = (variables) => render(index, variables)
+  }
+
+  return template
+}
+
+async function isDirectory(filepath) {
+  try {
+    return (await fs.stat(filepath)).isDirectory()
+  } catch (error) {
+    if (error.code === 'ENOENT') return false
+    throw error
+  }
+}
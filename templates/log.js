@@ -0,0 +1,184 @@
+import dedent from 'string-dedent'
+
+import { indexFileTemplate } from './basic.js'
+
+export const description =
+  'An append-only log of operations, applied to a view like an Autobase'
+
+export const schemaFileTemplate = ({ namespace = 'log' } = {}) => {
+  return dedent`
+    export function createSchema (hyperschema) {
+      const schema = hyperschema.namespace('${namespace}')
+
+      schema.register({
+        name: 'entry',
+        fields: [
+          {
+            name: 'seq',
+            type: 'uint',
+            required: true
+          },
+          {
+            name: 'type',
+            type: 'string',
+            required: true
+          },
+          {
+            name: 'writer',
+            type: 'string',
+            required: true
+          },
+          {
+            name: 'created',
+            type: 'uint',
+            required: true
+          },
+          {
+            name: 'payload',
+            type: 'string'
+          }
+        ]
+      })
+
+      return hyperschema
+    }
+
+    export function createDatabase (hyperdb, functions) {
+      const database = hyperdb.namespace('${namespace}')
+
+      // Collections
+      database.collections.register({
+        name: 'entry',
+        schema: '@${namespace}/entry',
+        key: ['seq'],
+        // Name of a function exported by functions.js
+        trigger: 'appendOnly'
+      })
+
+      // Indexes
+      database.indexes.register({
+        name: 'by_type',
+        collection: '@${namespace}/entry',
+        key: ['type']
+      })
+
+      database.indexes.register({
+        name: 'by_writer',
+        collection: '@${namespace}/entry',
+        key: ['writer']
+      })
+
+      return database
+    }
+  `
+}
+
+export const schemaDefinition = ({ namespace = 'log' } = {}) => {
+  return {
+    namespaces: [
+      {
+        name: namespace,
+        structs: [
+          {
+            name: 'entry',
+            fields: [
+              { name: 'seq', type: 'uint', required: true },
+              { name: 'type', type: 'string', required: true },
+              { name: 'writer', type: 'string', required: true },
+              { name: 'created', type: 'uint', required: true },
+              { name: 'payload', type: 'string' }
+            ]
+          }
+        ],
+        collections: [
+          {
+            name: 'entry',
+            schema: `@${namespace}/entry`,
+            key: ['seq'],
+            trigger: 'appendOnly'
+          }
+        ],
+        indexes: [
+          {
+            name: 'by_type',
+            collection: `@${namespace}/entry`,
+            key: ['type']
+          },
+          {
+            name: 'by_writer',
+            collection: `@${namespace}/entry`,
+            key: ['writer']
+          }
+        ]
+      }
+    ]
+  }
+}
+
+export const functionFileTemplate = ({ namespace = 'log' } = {}) => {
+  return dedent`
+    // Runs before an entry is inserted, or deleted when record is null.
+    // Entries are never rewritten or removed, only appended
+    export async function appendOnly (db, key, record, context) {
+      if (!record) {
+        throw new Error('Log entries cannot be deleted')
+      }
+
+      const existing = await db.get('@${namespace}/entry', key)
+      if (existing) {
+        throw new Error(\`Log entry \${record.seq} already exists\`)
+      }
+    }
+  `
+}
+
+export const exampleIndexFileTemplate = ({
+  openPath,
+  moduleType,
+  namespace = 'log'
+}) => {
+  const content = `
+    // Shaped like the apply function of an Autobase: every batch of nodes
+    // is applied to the view in order, in a single transaction
+    async function apply (nodes, view) {
+      const last = await view.findOne('@${namespace}/entry', { reverse: true })
+      let seq = last ? last.seq + 1 : 0
+
+      const tx = view.transaction()
+      for (const node of nodes) {
+        await tx.insert('@${namespace}/entry', {
+          seq: seq++,
+          type: node.value.type,
+          writer: node.from,
+          created: Date.now(),
+          payload: JSON.stringify(node.value.payload)
+        })
+      }
+      await tx.flush()
+    }
+
+    await apply([
+      { from: 'alice', value: { type: 'add-todo', payload: { text: 'Write docs' } } },
+      { from: 'bob', value: { type: 'add-todo', payload: { text: 'Review docs' } } }
+    ], db)
+
+    await apply([
+      { from: 'alice', value: { type: 'complete-todo', payload: { index: 0 } } }
+    ], db)
+
+    // Replay the log from the start
+    const entries = await db.find('@${namespace}/entry').toArray()
+
+    // Or only the entries of one type
+    const added = db.find('@${namespace}/by_type', {
+      gte: { type: 'add-todo' },
+      lte: { type: 'add-todo' }
+    })
+
+    console.log('Entries:', entries)
+    console.log('Added:', await added.toArray())
+
+  `
+
+  return indexFileTemplate({ openPath, moduleType, content })
+}
@@ -0,0 +1,192 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import * as fs from 'fs/promises'
+import * as os from 'os'
+import * as path from 'path'
+
+import dedent from 'string-dedent'
+
+import { createProject } from './helpers.js'
+import { openDatabase } from '../lib/runtime.js'
+
+const authors = [
+  { id: 'a1', username: 'alice' },
+  { id: 'a2', username: 'bob' }
+]
+const posts = [
+  {
+    id: 'p1',
+    type: 'blog',
+    author: 'a1',
+    created: 1,
+    title: 'Hello there',
+    content: 'Hi'
+  },
+  {
+    id: 'p2',
+    type: 'tutorial',
+    author: 'a2',
+    created: 2,
+    title: 'How to Use Hyperdb',
+    content: 'Step 1'
+  }
+]
+
+let project
+
+before(async () => {
+  project = await createProject({ template: 'blog', build: true })
+  await fs.writeFile(
+    'fixtures.json',
+    JSON.stringify({ '@example/post': posts, '@example/author': authors })
+  )
+})
+
+after(() => project.remove())
+
+async function readRecords(name, collection) {
+  const { db, close } = await openDatabase({
+    hyperdbDirectory: path.resolve('database/generated/database'),
+    storage: path.resolve('.corestore'),
+    name
+  })
+  try {
+    return await db.find(collection).toArray()
+  } finally {
+    await close()
+  }
+}
+
+test('seed inserts nothing when a record is invalid', async () => {
+  await fs.writeFile(
+    'invalid.json',
+    JSON.stringify({
+      '@example/author': [...authors, { id: 'a3', username: 3 }]
+    })
+  )
+
+  const { collections, errors } = await project
+    .helper()
+    .seed('./database', { file: 'invalid.json', name: 'invalid' })
+
+  assert.equal(collections['@example/author'].invalid, 1)
+  assert.equal(collections['@example/author'].inserted, 0)
+  assert.equal(errors.length, 1)
+  assert.match(errors[0].errors[0], /username must be a string/)
+  assert.deepEqual(await readRecords('invalid', '@example/author'), [])
+})
+
+test('seed inserts valid fixtures', async () => {
+  const { collections, errors } = await project
+    .helper()
+    .seed('./database', { file: 'fixtures.json' })
+
+  assert.deepEqual(errors, [])
+  assert.equal(collections['@example/post'].inserted, 2)
+  assert.equal(collections['@example/author'].inserted, 2)
+  assert.deepEqual(await readRecords('db', '@example/author'), authors)
+})
+
+test('export and import round-trip every record', async () => {
+  const { collections: exported } = await project
+    .helper()
+    .exportData('./database', { out: 'backup.ndjson' })
+  assert.deepEqual(exported, { '@example/post': 2, '@example/author': 2 })
+
+  const { collections, errors, warnings } = await project
+    .helper()
+    .importData('./database', { file: 'backup.ndjson', name: 'fresh' })
+
+  assert.deepEqual(errors, [])
+  assert.deepEqual(warnings, [])
+  assert.equal(collections['@example/post'].inserted, 2)
+  assert.equal(collections['@example/author'].inserted, 2)
+  assert.deepEqual(await readRecords('fresh', '@example/post'), posts)
+  assert.deepEqual(await readRecords('fresh', '@example/author'), authors)
+})
+
+test('import refuses existing keys unless told to skip them', async () => {
+  await assert.rejects(
+    project
+      .helper()
+      .importData('./database', { file: 'backup.ndjson', name: 'fresh' }),
+    /conflicts with an existing record/
+  )
+
+  const { collections } = await project.helper().importData('./database', {
+    file: 'backup.ndjson',
+    name: 'fresh',
+    onConflict: 'skip'
+  })
+  assert.equal(collections['@example/author'].skipped, 2)
+})
+
+test('export reports an out file that cannot be written', async () => {
+  await assert.rejects(
+    project.helper().exportData('./database', { out: 'missing/backup.ndjson' }),
+    /Cannot write missing\/backup\.ndjson/
+  )
+})
+
+test('import reports a missing file by name', async () => {
+  await assert.rejects(
+    project.helper().importData('./database', { file: 'missing.ndjson' }),
+    /Import file not found at missing\.ndjson/
+  )
+})
+
+test('migrate copies records into a new core through pending migrations', async () => {
+  await fs.cp('database/generated', 'database/generated-v1', {
+    recursive: true
+  })
+
+  // An optional bio field is additive, so the schema builds over the old one
+  const schema = await fs.readFile('database/schema.js', 'utf8')
+  await fs.writeFile(
+    'database/schema.js',
+    schema.replace(
+      /name: 'username',\s+type: 'string',\s+required: true\s+}/,
+      "$&, { name: 'bio', type: 'string' }"
+    )
+  )
+  await project.helper().build('./database')
+
+  await fs.mkdir('database/migrations')
+  await fs.writeFile(
+    'database/migrations/001-add-bio.js',
+    dedent`
+      export default {
+        '@example/author': {
+          up: (record) => ({ ...record, bio: 'Hi, I am ' + record.username })
+        }
+      }
+    `
+  )
+
+  const report = await project.helper().migrate('./database', {
+    source: 'database/generated-v1',
+    to: 'db-v2'
+  })
+
+  assert.equal(report.from, 0)
+  assert.equal(report.to, 1)
+  assert.deepEqual(report.errors, [])
+  assert.deepEqual(await readRecords('db-v2', '@example/author'), [
+    { id: 'a1', username: 'alice', bio: 'Hi, I am alice' },
+    { id: 'a2', username: 'bob', bio: 'Hi, I am bob' }
+  ])
+  assert.deepEqual(await readRecords('db-v2', '@example/post'), posts)
+})
+
+test('migrate explains where the old generated code must live', async () => {
+  const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'hyperdb-helper-'))
+  try {
+    await fs.cp('database/generated-v1', outside, { recursive: true })
+    await assert.rejects(
+      project.helper().migrate('./database', { source: outside, to: 'db-v3' }),
+      /Move it into the database directory next to the generated code/
+    )
+  } finally {
+    await fs.rm(outside, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,197 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { diffDefinitions } from '../lib/diff.js'
+import { COLLECTION_TYPE, INDEX_TYPE } from '../lib/definitions.js'
+
+const post = {
+  name: 'post',
+  namespace: 'example',
+  compact: false,
+  fields: [
+    { name: 'id', type: 'string', required: true },
+    { name: 'title', type: 'string', required: true }
+  ]
+}
+
+const posts = {
+  name: 'posts',
+  namespace: 'example',
+  type: COLLECTION_TYPE,
+  schema: '@example/post',
+  key: ['id']
+}
+
+const postsByTitle = {
+  name: 'posts-by-title',
+  namespace: 'example',
+  type: INDEX_TYPE,
+  collection: '@example/posts',
+  key: ['title'],
+  unique: false
+}
+
+function definitions({ structs = [post], types = [posts, postsByTitle] } = {}) {
+  return {
+    schema: { schema: structs },
+    database: { schema: types }
+  }
+}
+
+function withFields(fields, options = {}) {
+  return { ...post, ...options, fields }
+}
+
+function messages(changes) {
+  return changes.map((change) => change.message)
+}
+
+test('finds no changes between identical definitions', () => {
+  const { additive, breaking } = diffDefinitions(definitions(), definitions())
+  assert.deepEqual(additive, [])
+  assert.deepEqual(breaking, [])
+})
+
+test('treats everything as added when nothing was generated before', () => {
+  const { additive, breaking } = diffDefinitions({}, definitions())
+  assert.deepEqual(messages(additive), [
+    'Struct added: @example/post',
+    'Collection added: @example/posts',
+    'Index added: @example/posts-by-title'
+  ])
+  assert.deepEqual(breaking, [])
+})
+
+test('classifies an optional field appended to a struct as additive', () => {
+  const next = definitions({
+    structs: [withFields([...post.fields, { name: 'tags', type: 'string' }])]
+  })
+  const { additive, breaking } = diffDefinitions(definitions(), next)
+
+  assert.deepEqual(additive, [
+    {
+      breaking: false,
+      refused: false,
+      kind: 'field',
+      name: '@example/post/tags',
+      message: 'Field added: @example/post/tags'
+    }
+  ])
+  assert.deepEqual(breaking, [])
+})
+
+test('classifies a required field appended to a struct as breaking', () => {
+  const next = definitions({
+    structs: [
+      withFields([
+        ...post.fields,
+        { name: 'author', type: 'string', required: true }
+      ])
+    ]
+  })
+  const { additive, breaking } = diffDefinitions(definitions(), next)
+
+  assert.deepEqual(additive, [])
+  assert.deepEqual(messages(breaking), [
+    'Required field added: @example/post/author'
+  ])
+  assert.equal(breaking[0].refused, false)
+})
+
+test('classifies a renamed field as breaking but buildable', () => {
+  const next = definitions({
+    structs: [
+      withFields([post.fields[0], { ...post.fields[1], name: 'headline' }])
+    ]
+  })
+  const { breaking } = diffDefinitions(definitions(), next)
+
+  assert.deepEqual(messages(breaking), [
+    'Field renamed or reordered: @example/post/title is now headline'
+  ])
+  assert.equal(breaking[0].refused, false)
+})
+
+test('refuses changes hyperschema cannot build over', () => {
+  const cases = [
+    {
+      fields: [post.fields[0]],
+      message: 'Field removed: @example/post/title'
+    },
+    {
+      fields: [post.fields[0], { ...post.fields[1], type: 'uint' }],
+      message: 'Field type changed: @example/post/title from string to uint'
+    },
+    {
+      fields: [post.fields[0], { ...post.fields[1], required: false }],
+      message: 'Field is no longer required: @example/post/title'
+    }
+  ]
+
+  for (const { fields, message } of cases) {
+    const next = definitions({ structs: [withFields(fields)] })
+    const { additive, breaking } = diffDefinitions(definitions(), next)
+
+    assert.deepEqual(additive, [])
+    assert.deepEqual(messages(breaking), [message])
+    assert.equal(breaking[0].breaking, true)
+    assert.equal(breaking[0].refused, true)
+  }
+})
+
+test('refuses fields added to a compact struct', () => {
+  const compactPost = withFields(post.fields, { compact: true })
+  const previous = definitions({ structs: [compactPost] })
+  const next = definitions({
+    structs: [
+      withFields([...post.fields, { name: 'tags', type: 'string' }], {
+        compact: true
+      })
+    ]
+  })
+  const { additive, breaking } = diffDefinitions(previous, next)
+
+  assert.deepEqual(additive, [])
+  assert.deepEqual(messages(breaking), [
+    'Field added to compact struct: @example/post/tags'
+  ])
+  assert.equal(breaking[0].refused, true)
+})
+
+test('classifies removed structs, collections and indexes as breaking', () => {
+  const next = definitions({ structs: [], types: [] })
+  const { additive, breaking } = diffDefinitions(definitions(), next)
+
+  assert.deepEqual(additive, [])
+  assert.deepEqual(messages(breaking), [
+    'Struct removed: @example/post',
+    'Collection removed: @example/posts',
+    'Index removed: @example/posts-by-title'
+  ])
+  assert.ok(breaking.every((change) => !change.refused))
+})
+
+test('classifies key and uniqueness changes as breaking', () => {
+  const next = definitions({
+    types: [
+      { ...posts, key: ['id', 'title'] },
+      { ...postsByTitle, unique: true }
+    ]
+  })
+  const { additive, breaking } = diffDefinitions(definitions(), next)
+
+  assert.deepEqual(additive, [])
+  assert.deepEqual(messages(breaking), [
+    'Collection key changed: @example/posts from [id] to [id, title]',
+    'Index uniqueness changed: @example/posts-by-title'
+  ])
+})
+
+test('classifies a new index as additive', () => {
+  const byId = { ...postsByTitle, name: 'posts-by-id', key: ['id'] }
+  const next = definitions({ types: [posts, postsByTitle, byId] })
+  const { additive, breaking } = diffDefinitions(definitions(), next)
+
+  assert.deepEqual(messages(additive), ['Index added: @example/posts-by-id'])
+  assert.deepEqual(breaking, [])
+})
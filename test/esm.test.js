@@ -0,0 +1,88 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequire } from 'module'
+import * as path from 'path'
+import { pathToFileURL } from 'url'
+
+import dedent from 'string-dedent'
+
+import { createProject } from './helpers.js'
+import { convertToEsm, renameCommonJsRequires } from '../lib/esm.js'
+
+test('converts the requires and exports of generated code', () => {
+  const code = dedent`
+    const VERSION = 1
+    const { c } = require('hyperschema/runtime')
+    const { version, getEncoding } = require('./messages.js')
+    const helpers0 = require('../../functions.js')
+
+    module.exports = {
+      version,
+      getEncoding
+    }
+  `
+
+  assert.equal(
+    convertToEsm(code),
+    dedent`
+      const VERSION = 1
+      import runtimeModule from 'hyperschema/runtime.js'
+      const { c } = runtimeModule
+      import { version, getEncoding } from './messages.js'
+      import * as helpers0 from '../../functions.js'
+
+      const exported = {
+        version,
+        getEncoding
+      }
+
+      const { version: exported_version, getEncoding: exported_getEncoding } = exported
+      export { exported_version as version, exported_getEncoding as getEncoding }
+      export default exported
+    `
+  )
+})
+
+test('refuses code it does not know how to convert', () => {
+  assert.throws(
+    () => convertToEsm("const value = require('a').value"),
+    /Cannot convert generated code to ESM/
+  )
+})
+
+test('points relative requires at the CommonJS copies', () => {
+  assert.equal(
+    renameCommonJsRequires(
+      "const a = require('./messages.js')\nconst b = require('./other.js')",
+      ['messages.js']
+    ),
+    "const a = require('./messages.cjs')\nconst b = require('./other.js')"
+  )
+})
+
+test('generates ES modules and CommonJS copies that encode alike', async () => {
+  const project = await createProject({ template: 'blog', build: true })
+  try {
+    const schemasDirectory = path.resolve('database/generated/schemas')
+    const esm = await import(
+      pathToFileURL(path.join(schemasDirectory, 'index.js')).href
+    )
+    const cjs = createRequire(import.meta.url)(
+      path.join(schemasDirectory, 'index.cjs')
+    )
+
+    const author = { id: 'a1', username: 'alice' }
+    const encoded = esm.encode('@example/author', author)
+
+    assert.deepEqual(cjs.encode('@example/author', author), encoded)
+    assert.deepEqual(cjs.decode('@example/author', encoded), author)
+    assert.equal(esm.default.version, esm.version)
+
+    const definitions = await import(
+      pathToFileURL(path.resolve('database/generated/database/index.js')).href
+    )
+    assert.ok(definitions.default.resolveCollection('@example/author'))
+  } finally {
+    await project.remove()
+  }
+})
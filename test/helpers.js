@@ -0,0 +1,56 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+import { fileURLToPath } from 'url'
+
+import { HyperdbHelper } from '../index.js'
+import { createLogger } from '../lib/logger.js'
+
+const repositoryDirectory = path.dirname(
+  path.dirname(fileURLToPath(import.meta.url))
+)
+
+/**
+ * Creates a throwaway project and makes it the working directory
+ *
+ * Projects live under node_modules/.cache of this repository, so the code
+ * generated in them resolves hyperdb and corestore from its node_modules.
+ * @param {Object} [options]
+ * @param {string} [options.template] - Template to init ./database from, none if unset
+ * @param {boolean} [options.build] - Build ./database after init
+ * @returns {Promise<{ directory: string, helper: Function, remove: Function }>}
+ * helper() creates a silent HyperdbHelper, remove() restores the working directory
+ * and deletes the project
+ */
+export async function createProject({ template, build = false } = {}) {
+  const cacheDirectory = path.join(
+    repositoryDirectory,
+    'node_modules',
+    '.cache'
+  )
+  await fs.mkdir(cacheDirectory, { recursive: true })
+  const directory = await fs.mkdtemp(
+    path.join(cacheDirectory, 'hyperdb-helper-test-')
+  )
+  await fs.writeFile(
+    path.join(directory, 'package.json'),
+    JSON.stringify({ name: 'test-project', type: 'module' })
+  )
+
+  const previousDirectory = process.cwd()
+  process.chdir(directory)
+
+  const helper = () =>
+    new HyperdbHelper({ logger: createLogger({ level: 'silent' }) })
+
+  if (template) await helper().init('./database', { template })
+  if (build) await helper().build('./database')
+
+  return {
+    directory,
+    helper,
+    async remove() {
+      process.chdir(previousDirectory)
+      await fs.rm(directory, { recursive: true, force: true })
+    }
+  }
+}
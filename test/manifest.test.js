@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as fs from 'fs/promises'
+import * as os from 'os'
+import * as path from 'path'
+
+import { hashSourceFiles } from '../lib/manifest.js'
+
+async function withFiles(files, fn) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hyperdb-helper-'))
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(directory, name)), {
+        recursive: true
+      })
+      await fs.writeFile(path.join(directory, name), content)
+    }
+    await fn(directory)
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true })
+  }
+}
+
+test('returns null when the entry file does not exist', async () => {
+  await withFiles({}, async (directory) => {
+    assert.equal(await hashSourceFiles(path.join(directory, 'schema.js')), null)
+  })
+})
+
+test('changes when a locally imported file changes', async () => {
+  const files = {
+    'schema.js': "import { fields } from './lib/fields.js'\n",
+    'lib/fields.js': "const shared = require('../shared')\n",
+    'shared.js': 'module.exports = 1\n'
+  }
+
+  await withFiles(files, async (directory) => {
+    const schemaFilepath = path.join(directory, 'schema.js')
+    const before = await hashSourceFiles(schemaFilepath)
+    assert.equal(await hashSourceFiles(schemaFilepath), before)
+
+    await fs.writeFile(
+      path.join(directory, 'shared.js'),
+      'module.exports = 2\n'
+    )
+    assert.notEqual(await hashSourceFiles(schemaFilepath), before)
+  })
+})
+
+test('ignores packages and imports that do not resolve', async () => {
+  const files = {
+    'schema.js': "import dedent from 'string-dedent'\nimport './missing.js'\n"
+  }
+
+  await withFiles(files, async (directory) => {
+    assert.match(
+      await hashSourceFiles(path.join(directory, 'schema.js')),
+      /^[0-9a-f]{64}$/
+    )
+  })
+})
@@ -0,0 +1,93 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  getStructs,
+  reviveRecord,
+  stringifyRecord,
+  validateRecord
+} from '../lib/records.js'
+
+const structs = getStructs({
+  schema: [
+    {
+      name: 'entry',
+      namespace: 'example',
+      fields: [
+        { name: 'id', type: 'string', required: true },
+        { name: 'position', type: 'lexint' },
+        { name: 'count', type: 'uint' },
+        { name: 'total', type: 'bigint' },
+        { name: 'data', type: 'buffer' },
+        { name: 'key', type: 'fixed32' },
+        { name: 'signature', type: 'fixed64' }
+      ]
+    }
+  ]
+})
+
+function check(record) {
+  const revived = reviveRecord(record, '@example/entry', structs)
+  return validateRecord(revived, '@example/entry', structs)
+}
+
+test('accepts a valid record', () => {
+  assert.deepEqual(
+    check({
+      id: 'e1',
+      position: 3,
+      count: 1,
+      total: '12345678901234567890',
+      data: 'cafe',
+      key: 'ab'.repeat(32),
+      signature: 'cd'.repeat(64)
+    }),
+    []
+  )
+})
+
+test('reports missing, unknown and mistyped fields', () => {
+  assert.deepEqual(check({ count: 'one', colour: 'red' }), [
+    'id is required',
+    'count must be an integer',
+    'colour is not a field of @example/entry'
+  ])
+})
+
+test('validates lexint fields as unsigned integers', () => {
+  assert.deepEqual(check({ id: 'e1', position: 'first' }), [
+    'position must be an integer'
+  ])
+  assert.deepEqual(check({ id: 'e1', position: -1 }), [
+    'position must not be negative'
+  ])
+})
+
+test('reports bigint fields that are not integers', () => {
+  assert.deepEqual(check({ id: 'e1', total: '1.5' }), [
+    'total must be a bigint'
+  ])
+})
+
+test('reports hex that is invalid or not whole bytes', () => {
+  assert.deepEqual(check({ id: 'e1', data: 'caf' }), ['data is not valid hex'])
+  assert.deepEqual(check({ id: 'e1', data: 'zz' }), ['data is not valid hex'])
+})
+
+test('reports fixed buffers of the wrong length', () => {
+  assert.deepEqual(check({ id: 'e1', key: 'ab', signature: 'cd'.repeat(32) }), [
+    'key must be 32 bytes',
+    'signature must be 64 bytes'
+  ])
+})
+
+test('revives what stringifyRecord writes', () => {
+  const record = {
+    id: 'e1',
+    total: 2n ** 70n,
+    data: Buffer.from('hello')
+  }
+  const json = JSON.parse(stringifyRecord(record))
+
+  assert.deepEqual(reviveRecord(json, '@example/entry', structs), record)
+})
@@ -0,0 +1,96 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as fs from 'fs/promises'
+import * as path from 'path'
+
+import { createProject } from './helpers.js'
+import { createTestDatabase } from '../testing.js'
+
+const author = { id: 'a1', username: 'alice' }
+
+test('builds a database with fixtures, leaving the project untouched', async () => {
+  const project = await createProject({ template: 'blog' })
+  try {
+    // A build would rewrite a package.json that differs from the one it generates
+    const packageJson = JSON.parse(
+      await fs.readFile('database/package.json', 'utf8')
+    )
+    await fs.writeFile(
+      'database/package.json',
+      JSON.stringify({ ...packageJson, private: true })
+    )
+    const before = await readDirectory('database')
+
+    const { db, close } = await createTestDatabase({
+      dir: './database',
+      build: true,
+      fixtures: { '@example/author': [author] }
+    })
+    try {
+      assert.deepEqual(await db.get('@example/author', { id: 'a1' }), author)
+    } finally {
+      await close()
+    }
+
+    assert.deepEqual(await readDirectory('database'), before)
+  } finally {
+    await project.remove()
+  }
+})
+
+test('rejects invalid fixtures', async () => {
+  const project = await createProject({ template: 'blog', build: true })
+  try {
+    await assert.rejects(
+      createTestDatabase({
+        dir: './database',
+        fixtures: { '@example/author': [{ id: 'a1' }] }
+      }),
+      /Invalid fixtures:\n {2}fixtures @example\/author\[0\]: username is required/
+    )
+  } finally {
+    await project.remove()
+  }
+})
+
+test('needs a directory path as storage with the rocks backend', async () => {
+  const project = await createProject({ template: 'blog' })
+  try {
+    const config = await fs.readFile('database/config.js', 'utf8')
+    await fs.writeFile(
+      'database/config.js',
+      config.replace('config = {', "config = {\n  backend: 'rocks',")
+    )
+
+    await assert.rejects(
+      createTestDatabase({ dir: './database', storage: {} }),
+      /The rocks backend needs a directory path as storage/
+    )
+
+    const { db, close } = await createTestDatabase({
+      dir: './database',
+      fixtures: { '@example/author': [author] }
+    })
+    try {
+      assert.deepEqual(await db.get('@example/author', { id: 'a1' }), author)
+    } finally {
+      await close()
+    }
+  } finally {
+    await project.remove()
+  }
+})
+
+// Path and contents of every file in a directory
+async function readDirectory(directory) {
+  const files = {}
+  for (const entry of await fs.readdir(directory, {
+    recursive: true,
+    withFileTypes: true
+  })) {
+    if (!entry.isFile()) continue
+    const filepath = path.join(entry.parentPath, entry.name)
+    files[filepath] = await fs.readFile(filepath, 'utf8')
+  }
+  return files
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { generateSchemaTypes } from '../lib/typescript.js'
+
+function struct(name, fields = []) {
+  return { name, namespace: 'example', fields }
+}
+
+test('declares an interface for each struct with primitive field types', () => {
+  const types = generateSchemaTypes({
+    schema: [
+      struct('counter', [
+        { name: 'id', type: 'string', required: true },
+        { name: 'count', type: 'lexint', required: true },
+        { name: 'total', type: 'bigint' },
+        { name: 'hash', type: 'fixed32' },
+        { name: 'tags', type: 'string', array: true }
+      ])
+    ]
+  })
+
+  assert.match(
+    types,
+    /export interface ExampleCounter \{\n {2}id: string\n {2}count: number\n {2}total\?: bigint\n {2}hash\?: Uint8Array\n {2}tags\?: string\[\]\n\}/
+  )
+})
+
+test('refers to other structs by their type name', () => {
+  const types = generateSchemaTypes({
+    schema: [
+      struct('author', [{ name: 'id', type: 'string', required: true }]),
+      struct('post', [{ name: 'author', type: '@example/author' }])
+    ]
+  })
+
+  assert.match(types, /author\?: ExampleAuthor\n/)
+})
+
+test('throws when two struct names become the same type name', () => {
+  assert.throws(
+    () => generateSchemaTypes({ schema: [struct('a-b'), struct('aB')] }),
+    /@example\/a-b and @example\/aB would both be declared as ExampleAB/
+  )
+})
@@ -0,0 +1,162 @@
+import * as fs from 'fs/promises'
+import * as os from 'os'
+import * as path from 'path'
+
+import dedent from 'string-dedent'
+
+import { HyperdbHelper } from './index.js'
+import { openDatabase } from './lib/runtime.js'
+import { readFixtures, validateFixtures } from './lib/fixtures.js'
+
+/**
+ * Opens a throwaway database for tests
+ *
+ * The generated code in the database directory is used when it exists.
+ * Otherwise, or when build is true, the schema is built into a temporary
+ * directory under node_modules/.cache so the project's generated code is
+ * left alone and the generated files can still resolve hyperdb. Nothing is
+ * written to the database directory itself.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Path to the database directory (default: ./database)
+ * @param {string|Object|Array<string|Object>} [options.fixtures] - Fixture files, or objects
+ * mapping collection names to arrays of records, inserted before the database is returned
+ * @param {boolean} [options.build] - Always build the schema instead of using the generated code
+ * @param {*} [options.storage] - Corestore storage, like random-access-memory, or with the
+ * rocks backend a directory path (default: a temporary directory)
+ * @param {string} [options.name] - Name of the core in the Corestore (default: db)
+ * @returns {Promise<{ db: Object, definitions: Object, close: Function }>}
+ * close() closes the database and removes the temporary directories
+ * @throws {Error} If storage is not a directory path and the backend is rocks
+ * @throws {Error} If the schema fails to build or a fixture record is invalid
+ * @example
+ * import { createTestDatabase } from 'hyperdb-helper/testing'
+ *
+ * const { db, close } = await createTestDatabase({
+ *   fixtures: { '@example/author': [{ id: 'a1', username: 'alice' }] }
+ * })
+ * await db.get('@example/author', { id: 'a1' })
+ * await close()
+ */
+export async function createTestDatabase({
+  dir,
+  fixtures,
+  build = false,
+  storage,
+  name = 'db'
+} = {}) {
+  const temporaryDirectories = []
+  const removeTemporaryDirectories = () =>
+    Promise.all(
+      temporaryDirectories.map((directory) =>
+        fs.rm(directory, { recursive: true, force: true })
+      )
+    )
+
+  let database = null
+
+  try {
+    const helper = new HyperdbHelper()
+    helper.config = await helper.mergeConfig(dir)
+
+    // RocksDB keeps its files in a directory, it has no in-memory storage
+    if (
+      storage !== undefined &&
+      typeof storage !== 'string' &&
+      helper.config.backend === 'rocks'
+    ) {
+      throw new Error(dedent`
+        Error: The rocks backend needs a directory path as storage
+        Leave storage unset to use a temporary directory
+      `)
+    }
+
+    let built = await helper.getGeneratedDefinitions()
+    if (build || !built.schema || !built.database) {
+      const cacheDirectory = path.join(
+        process.cwd(),
+        'node_modules',
+        '.cache',
+        'hyperdb-helper'
+      )
+      await fs.mkdir(cacheDirectory, { recursive: true })
+
+      // The generated code requires functions.js by relative path, which
+      // node resolves from the real location when node_modules is a symlink
+      const generatedCodeDirectory = await fs.mkdtemp(
+        path.join(await fs.realpath(cacheDirectory), 'test-')
+      )
+      temporaryDirectories.push(generatedCodeDirectory)
+
+      await helper.build(dir, {
+        generatedCodeDirectory,
+        allowBreaking: true,
+        generatedOnly: true
+      })
+      built = await helper.getBuiltDefinitions()
+    }
+
+    if (!storage) {
+      storage = await fs.mkdtemp(path.join(os.tmpdir(), 'hyperdb-helper-'))
+      temporaryDirectories.push(storage)
+    }
+
+    database = await openDatabase({
+      hyperdbDirectory: helper.config.hyperdbDirectory,
+      storage,
+      name,
+      backend: helper.config.backend
+    })
+
+    if (fixtures) {
+      await insertFixtures(database.db, fixtures, built)
+    }
+  } catch (error) {
+    if (database) await database.close()
+    await removeTemporaryDirectories()
+    throw error
+  }
+
+  return {
+    db: database.db,
+    definitions: database.definitions,
+    async close() {
+      await database.close()
+      await removeTemporaryDirectories()
+    }
+  }
+}
+
+async function insertFixtures(db, fixtures, { schema, database }) {
+  const fixtureEntries = []
+  for (const fixture of [].concat(fixtures)) {
+    if (typeof fixture === 'string') {
+      fixtureEntries.push(...(await readFixtures(fixture)))
+      continue
+    }
+
+    for (const [collection, records] of Object.entries(fixture)) {
+      ;[].concat(records).forEach((record, i) => {
+        fixtureEntries.push({
+          collection,
+          record,
+          location: `fixtures ${collection}[${i}]`
+        })
+      })
+    }
+  }
+
+  const { entries, errors } = validateFixtures(fixtureEntries, schema, database)
+
+  if (errors.length) {
+    throw new Error(dedent`
+      Error: Invalid fixtures:
+      ${errors.map((error) => `  ${error.location}: ${error.errors.join(', ')}`).join('\n')}
+    `)
+  }
+
+  const tx = db.transaction()
+  for (const { collection, record } of entries) {
+    await tx.insert(collection, record)
+  }
+  await tx.flush()
+}